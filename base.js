@@ -1,15 +1,17 @@
-import { CallbackQuery, Chat, LinkPreviewOptions, Message, WebhookInfo, _File, User, ChatMember, ChatMemberAdministrator, ChatMemberBanned, ChatMemberMember, ChatMemberLeft, ChatMemberRestricted, ChatMemberOwner, InputFile, ChatMemberUpdated, Document, ChatFullInfo, ChatPermissions, MessageId, UserProfilePhotos, ChatInviteLink, ChatJoinRequest, MessageEntity, ForumTopic, Sticker } from "./components.js";
-import { BaseHandler, CallbackQueryHandler, ChatMemberHandler, CommandHandler, ConversationHandler, MessageHandler } from "./handlers.js";
+import { BusinessConnection, BusinessMessagesDeleted, CallbackQuery, Chat, ChosenInlineResult, InlineQuery, MessageReactionCountUpdated, MessageReactionUpdated, Poll, PollAnswer, PreCheckoutQuery, ShippingQuery, StarTransactions, LinkPreviewOptions, Message, WebhookInfo, _File, User, ChatMember, ChatMemberAdministrator, ChatMemberBanned, ChatMemberMember, ChatMemberLeft, ChatMemberRestricted, ChatMemberOwner, InputFile, ChatMemberUpdated, Document, ChatFullInfo, ChatPermissions, MessageId, UserProfilePhotos, ChatInviteLink, ChatJoinRequest, MessageEntity, ForumTopic, Sticker } from "./components.js";
+import { BaseHandler, BusinessConnectionHandler, BusinessMessageHandler, CallbackQueryHandler, ChatJoinRequestHandler, ChatMemberHandler, ChosenInlineResultHandler, CommandHandler, ConversationHandler, DeletedBusinessMessagesHandler, InlineQueryHandler, MessageHandler, MessageReactionHandler, PollAnswerHandler, PollHandler, PreCheckoutQueryHandler, ShippingQueryHandler } from "./handlers.js";
 import fs from "fs";
 import { FormData } from "node-fetch";
 import fetch from "node-fetch";
 import express from "express";
 import {ChatScope, Permissions, UpdateType} from "./constants.js";
-import { Queue, Schedule } from "./extra.js";
+import { ConcurrentQueue, Schedule, RateLimiter, Job, JobQueue } from "./extra.js";
 import path from "path";
 import { fileURLToPath } from 'url';
 import cors from "cors";
+import { EventEmitter } from "events";
 import { fetchWithTimeout } from "./utils.js";
+import { TelegramError, BadRequest, ChatMigrated, RetryAfter, NetworkError, TimedOut } from "./errors.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -37,8 +39,9 @@ class Context {
      * 
      * @param {Update} update 
      * @param {Bot} bot 
+     * @param {App|null} app The app processing the update. User and chat data are shared through it.
      */
-    constructor(update, bot) {
+    constructor(update, bot, app = null) {
         /**
          * An update.
          */
@@ -48,13 +51,25 @@ class Context {
          */
         this.bot = bot;
         /**
-         * User specific data tied to the bot context.
+         * The app instance in this context.
+         * @type {App|null}
          */
-        this.userData = new Map();
+        this.app = app;
         /**
-         * Chat specific data tied to the bot context.
+         * User specific data tied to the bot context. It is kept across updates (and restarts, if the app has a persistence backend).
+         * @type {Map<string, any>}
          */
-        this.chatData = new Map();
+        this.userData = app && update?.effective_user ? app.getUserData(update.effective_user.id) : new Map();
+        /**
+         * Chat specific data tied to the bot context. It is kept across updates (and restarts, if the app has a persistence backend).
+         * @type {Map<string, any>}
+         */
+        this.chatData = app && update?.effective_chat ? app.getChatData(update.effective_chat.id) : new Map();
+        /**
+         * The job being run, if the context was created by the `JobQueue`. In that case `update` is `null`.
+         * @type {Job|null}
+         */
+        this.job = null;
         /**Array of words after a command. Quotation marks can be used to wrap multiple words together.
          * @type {string[]} 
          * */
@@ -72,30 +87,43 @@ class Context {
             return;
         }
 
-        const response = await fetchWithTimeout(this.bot.endpoint + "getFile", {
-            method: "POST",
-            body: JSON.stringify({
-                file_id: document.file_id
-            })
-        }, 30000);
+        const { result } = await this.bot.request("getFile", { file_id: document.file_id }, { timeout: 30000 });
+        return new _File(result);
+    }
 
-        return await response.json();
+    /**
+     * The job queue of the app.
+     * @returns {JobQueue|null}
+     */
+    get job_queue() {
+        return this.app?.job_queue ?? null;
     }
 
     /**
-     * Schedule a task to run repeatedly.
+     * Schedule a task to run repeatedly. The task runs in the app's `JobQueue`, if there is one.
+     * @deprecated Use `context.job_queue.run_repeating()`, which supports names, data and start and end times.
      * @param {{interval: number, callback: (update: Update, context: Context) => Promise<void>}} config 
      * @returns {Schedule} Schedule ID.
      */
     schedule(config) {
+        if (this.job_queue) {
+            const job = this.job_queue.run_repeating(async () => await config.callback(this.update, this), config.interval);
+            console.log(`Scheduled task ${job.id} started.`);
+            return new Schedule(job);
+        }
+
         const schedule = setInterval(async () => {
             try {
                 await config.callback(this.update, this);
             } catch (error) {
-                console.error(
-                    `Scheduled task ${schedule} failed:`,
-                    error
-                );
+                if (this.app) {
+                    await this.app.processError(error, this.update, this);
+                } else {
+                    console.error(
+                        `Scheduled task ${schedule} failed:`,
+                        error
+                    );
+                }
             }
         }, config.interval);
 
@@ -118,7 +146,7 @@ class Update {
 
     /**
      * Get the update type.
-     * @returns {'message'|'edited_message'|'channel_post'|'edited_channel_post'|'business_connection'|'business_message'|'edited_business_message'|'deleted_business_message'|'message_reaction'|'message_reaction_count'|'inline_query'|'chosen_inline_result'|'callback_query'|'shipping_query'|'pre_checkout_query'|'purchased_paid_media'|'poll'|'my_chat_member'|'chat_member'|'chat_join_request'|'chat_boost'|'removed_chat_boost'}
+     * @returns {'message'|'edited_message'|'channel_post'|'edited_channel_post'|'business_connection'|'business_message'|'edited_business_message'|'deleted_business_messages'|'message_reaction'|'message_reaction_count'|'inline_query'|'chosen_inline_result'|'callback_query'|'shipping_query'|'pre_checkout_query'|'purchased_paid_media'|'poll'|'poll_answer'|'my_chat_member'|'chat_member'|'chat_join_request'|'chat_boost'|'removed_chat_boost'}
      */
     get type() {
         const types = UpdateType.ALL;
@@ -154,6 +182,54 @@ class Update {
      * @returns {CallbackQuery} New incoming callback query.
      */
     get callback_query() { return this.update.hasOwnProperty("callback_query") ? new CallbackQuery(this.update.callback_query) : null; }
+    /**
+     * @returns {InlineQuery} New incoming inline query.
+     */
+    get inline_query() { return this.update.hasOwnProperty("inline_query") ? new InlineQuery(this.update.inline_query) : null; }
+    /**
+     * @returns {ChosenInlineResult} The result of an inline query that was chosen by a user and sent to their chat partner.
+     */
+    get chosen_inline_result() { return this.update.hasOwnProperty("chosen_inline_result") ? new ChosenInlineResult(this.update.chosen_inline_result) : null; }
+    /**
+     * @returns {ShippingQuery} New incoming shipping query. Only for invoices with flexible price.
+     */
+    get shipping_query() { return this.update.hasOwnProperty("shipping_query") ? new ShippingQuery(this.update.shipping_query) : null; }
+    /**
+     * @returns {PreCheckoutQuery} New incoming pre-checkout query. Contains full information about checkout.
+     */
+    get pre_checkout_query() { return this.update.hasOwnProperty("pre_checkout_query") ? new PreCheckoutQuery(this.update.pre_checkout_query) : null; }
+    /**
+     * @returns {Poll} New poll state. Bots receive only updates about manually stopped polls and polls, which are sent by the bot.
+     */
+    get poll() { return this.update.hasOwnProperty("poll") ? new Poll(this.update.poll) : null; }
+    /**
+     * @returns {PollAnswer} A user changed their answer in a non-anonymous poll. Bots receive new votes only in polls that were sent by the bot itself.
+     */
+    get poll_answer() { return this.update.hasOwnProperty("poll_answer") ? new PollAnswer(this.update.poll_answer) : null; }
+    /**
+     * @returns {MessageReactionUpdated} A reaction to a message was changed by a user.
+     */
+    get message_reaction() { return this.update.hasOwnProperty("message_reaction") ? new MessageReactionUpdated(this.update.message_reaction) : null; }
+    /**
+     * @returns {MessageReactionCountUpdated} Reactions to a message with anonymous reactions were changed.
+     */
+    get message_reaction_count() { return this.update.hasOwnProperty("message_reaction_count") ? new MessageReactionCountUpdated(this.update.message_reaction_count) : null; }
+    /**
+     * @returns {BusinessConnection} The bot was connected to or disconnected from a business account, or a user edited an existing connection with the bot.
+     */
+    get business_connection() { return this.update.hasOwnProperty("business_connection") ? new BusinessConnection(this.update.business_connection) : null; }
+    /**
+     * @returns {Message} New message from a connected business account.
+     */
+    get business_message() { return this.update.hasOwnProperty("business_message") ? new Message(this.update.business_message) : null; }
+    /**
+     * @returns {Message} New version of a message from a connected business account.
+     */
+    get edited_business_message() { return this.update.hasOwnProperty("edited_business_message") ? new Message(this.update.edited_business_message) : null; }
+    /**
+     * @returns {BusinessMessagesDeleted} Messages were deleted from a connected business account.
+     */
+    get deleted_business_messages() { return this.update.hasOwnProperty("deleted_business_messages") ? new BusinessMessagesDeleted(this.update.deleted_business_messages) : null; }
     /**
      * @returns {Chat|null} The effective chat the update comes from.
      */
@@ -213,6 +289,16 @@ class Update {
             return new Chat(this.update.deleted_business_messages.chat);
         }
 
+        // Message reaction
+        if (this.update?.message_reaction?.chat) {
+            return new Chat(this.update.message_reaction.chat);
+        }
+
+        // Message reaction count
+        if (this.update?.message_reaction_count?.chat) {
+            return new Chat(this.update.message_reaction_count.chat);
+        }
+
         return null;
     }
     /**
@@ -244,6 +330,26 @@ class Update {
             return new User(this.update.chosen_inline_result.from);
         }
 
+        // Shipping query
+        if (this.update?.shipping_query?.from) {
+            return new User(this.update.shipping_query.from);
+        }
+
+        // Pre-checkout query
+        if (this.update?.pre_checkout_query?.from) {
+            return new User(this.update.pre_checkout_query.from);
+        }
+
+        // Poll answer
+        if (this.update?.poll_answer?.user) {
+            return new User(this.update.poll_answer.user);
+        }
+
+        // Message reaction
+        if (this.update?.message_reaction?.user) {
+            return new User(this.update.message_reaction.user);
+        }
+
         // Chat member update actor
         if (this.update?.chat_member?.from) {
             return new User(this.update.chat_member.from);
@@ -279,6 +385,11 @@ class Update {
             return new User(this.update.edited_business_message.from);
         }
 
+        // Business connection owner
+        if (this.update?.business_connection?.user) {
+            return new User(this.update.business_connection.user);
+        }
+
         return null;
     }
 
@@ -358,7 +469,40 @@ class Update {
 class App {
 
     static defaultParams = {};
-    #queue = new Queue();
+    /**
+     * @type {ConcurrentQueue}
+     */
+    #queue = new ConcurrentQueue({ onError: (error) => this.processError(error) });
+    /**
+     * The tasks of the non-blocking handlers still running.
+     * @type {Set<Promise<void>>}
+     */
+    #background = new Set();
+    /**
+     * Set while the app is stopping. See `stop()`.
+     * @type {Promise<void>|null}
+     */
+    #stopping = null;
+    /**
+     * Resolves the promise returned by `runUntilStopped()`.
+     * @type {(() => void)|null}
+     */
+    #onStopped = null;
+    /**
+     * The chat migrations still running, keyed by the old chat ID.
+     * @type {Map<number, Promise<void>>}
+     */
+    #migrations = new Map();
+    /**
+     * The IDs of the updates queued or being processed, and whether they have started.
+     * @type {Map<number, boolean>}
+     */
+    #inFlight = new Map();
+    /**
+     * The IDs of the polled updates at or past `update_offset`, skipped when Telegram sends them again.
+     * @type {Set<number>}
+     */
+    #received = new Set();
 
     /**
      * @type {Update[]}
@@ -387,22 +531,57 @@ class App {
         //     global: [],
         //     conversation: null
         // };
-        this.handlers = {
-            command: [],
-            message: [],
-            callback_query: [],
-            chat_member: [],
-            conversation: null
-        };
+        /**
+         * Handlers by group number. Groups are processed in ascending order.
+         * @type {Map<number, {conversation: ConversationHandler[], command: CommandHandler[], message: MessageHandler[], callback_query: CallbackQueryHandler[], chat_member: ChatMemberHandler[]}>}
+         */
+        this.handlers = new Map();
         this.server = null;
         this.express = null;
         this.base_url = null;
         this.ngrokTunnel = null;
         this.test_mode = false;
+        this.retry_config = {};
+        /**
+         * @type {RateLimiter|null}
+         */
+        this.rate_limiter = null;
+        this.concurrency_limit = 1;
+        this.queue_timeout = 30000;
         this.update_offset = 0;
+        /**
+         * Whether updates are received with `run_polling()`.
+         * @type {boolean}
+         */
+        this.polling = false;
         this.lastProcessedTime = 0;
         this.timeout = null;
-
+        /**
+         * @type {BasePersistence|null}
+         */
+        this.persistence_store = null;
+        /**
+         * @type {Map<number, Map<string, any>>}
+         */
+        this.user_data = new Map();
+        /**
+         * @type {Map<number, Map<string, any>>}
+         */
+        this.chat_data = new Map();
+        this.initialized = null;
+        /**
+         * @type {((update: Update, context: Context, next: () => Promise<void>) => Promise<void>)[]}
+         */
+        this.middlewares = [];
+        /**
+         * @type {((error: Error, update: Update|null, context: Context|null) => Promise<void>)[]}
+         */
+        this.error_handlers = [];
+        /**
+         * Runs scheduled jobs. It starts with the app.
+         * @type {JobQueue}
+         */
+        this.job_queue = new JobQueue((job) => this.#runJob(job), (error) => this.processError(error));
     }
 
     /**
@@ -492,13 +671,93 @@ class App {
         return this;
     }
 
+    /**
+     * Store user, chat and bot data with a persistence backend, so that it survives restarts.
+     * @param {BasePersistence} persistence 
+     * @returns 
+     */
+    persistence(persistence) {
+        this.persistence_store = persistence;
+        return this;
+    }
+
+    /**
+     * Configure how failed Bot API requests are retried. Requests that hit flood control (`429 Too Many Requests`) wait for the `retry_after` period Telegram asks for; 5xx errors and connection failures are retried with exponential backoff.
+     * 
+     * For example:
+     * 
+     * ```
+     * const app = new App().token(API_KEY).retry({retries: 5, backoff: 500}).build();
+     * ```
+     * 
+     * @param {{retries: number, backoff: number, maxBackoff: number, maxRetryAfter: number, retryMigrated: boolean}} config `retries`: attempts after the first one (default 3). `backoff`: first delay in milliseconds, doubled on every attempt (default 1000). `maxBackoff`: upper bound of the delay in milliseconds (default 30000). `maxRetryAfter`: give up when Telegram asks to wait longer than this many seconds (default 60). `retryMigrated`: send requests to a group that was upgraded to a supergroup again, to the supergroup (default `false`).
+     * @returns 
+     */
+    retry(config) {
+        this.retry_config = config;
+        return this;
+    }
+
+    /**
+     * Throttle outgoing requests with a `RateLimiter`, so that bursts from handlers and scheduled tasks wait instead of hitting Telegram's flood limits.
+     * 
+     * For example:
+     * 
+     * ```
+     * const app = new App().token(API_KEY).rateLimiter(new RateLimiter({groupLimit: 20, groupPeriod: 60000})).build();
+     * ```
+     * 
+     * @param {RateLimiter} limiter 
+     * @returns 
+     */
+    rateLimiter(limiter) {
+        this.rate_limiter = limiter;
+        return this;
+    }
+
+    /**
+     * Process updates from different chats in parallel, up to `limit` at a time. Updates from the same chat, or from the same user outside of chats, are still processed one at a time and in order. The default of `1` processes every update sequentially.
+     * 
+     * For example:
+     * 
+     * ```
+     * const app = new App().token(API_KEY).concurrency(16).build();
+     * ```
+     * 
+     * @param {number} limit 
+     * @returns 
+     */
+    concurrency(limit) {
+        this.concurrency_limit = limit;
+        return this;
+    }
+
+    /**
+     * Set how long an update may take to be processed, in milliseconds (default 30000). Past it, the update counts as failed, the next update from the same chat starts and the polling offset moves past it, while the slow handler keeps running. `0` disables the timeout.
+     * @param {number} timeout 
+     * @returns 
+     */
+    queueTimeout(timeout) {
+        this.queue_timeout = timeout;
+        return this;
+    }
+
     /**
      * Initialize the app and create a bot instance in the current context.
      * @returns {App}
      */
     build() {
         if (!this.api_key) throw new Error("API KEY needs to be passed first.");
-        this.bot = new Bot(this.api_key, this.test_mode);
+        this.bot = new Bot(this.api_key, this.test_mode, this.retry_config);
+        this.bot.limiter = this.rate_limiter;
+        this.#queue = new ConcurrentQueue({
+            concurrency: this.concurrency_limit,
+            timeout: this.queue_timeout,
+            onError: (error) => this.processError(error)
+        });
+        this.bot.on("migrate", (from_chat_id, to_chat_id) => {
+            this.migrateChat(from_chat_id, to_chat_id).catch(error => this.processError(error));
+        });
         if (this.base_url) {
             this.bot.endpoint = `${this.base_url}${this.api_key}/${this.test_mode ? "test/" : ""}`;
         }
@@ -507,173 +766,523 @@ class App {
     }
 
     /**
-     * Add an update handler.
-     * @param {BaseHandler} handler
-     * @param {Permissions} permissions
-     * @param {number} scope
+     * Load the persisted data and conversation states, and start the job queue. This is called automatically when the app starts or receives its first update.
+     * @returns {Promise<void>}
      */
-    addHandler(handler, permissions = Permissions.MEMBER, scope = ChatScope.ALL) {
-        handler.requiredPermissions = permissions;
-        handler.scope = scope;
-
-        if (handler instanceof ConversationHandler && !this.handlers.conversation) {
-            this.handlers.conversation = handler;
-            return this;
+    initialize() {
+        if (!this.initialized) {
+            this.initialized = this.#loadPersistence().then(() => this.job_queue.start()).catch(error => {
+                // Try again with the next update.
+                this.initialized = null;
+                throw error;
+            });
         }
+        return this.initialized;
+    }
 
-        // this.handlers.global.push(handler);
-        if (handler instanceof CommandHandler) {
-            this.handlers.command.push(handler);
-        }
+    async #loadPersistence() {
+        if (!this.persistence_store) return;
 
-        else if (handler instanceof MessageHandler) {
-            this.handlers.message.push(handler);
-        }
+        const toMap = (data) => new Map(Object.entries(data ?? {}));
+        const toDataMap = (data) => new Map(Object.entries(data ?? {}).map(([id, value]) => [Number(id), toMap(value)]));
 
-        else if (handler instanceof CallbackQueryHandler) {
-            this.handlers.callback_query.push(handler);
-        }
+        this.user_data = toDataMap(await this.persistence_store.getUserData());
+        this.chat_data = toDataMap(await this.persistence_store.getChatData());
 
-        else if (handler instanceof ChatMemberHandler) {
-            this.handlers.chat_member.push(handler);
+        Context.botData.clear();
+        for (const [key, value] of toMap(await this.persistence_store.getBotData())) {
+            Context.botData.set(key, value);
         }
 
-        else {
-            throw new Error("Unknown handler type.");
+        for (const handler of this.conversationHandlers) {
+            await handler.restore(this.persistence_store);
         }
 
-        return this;
+        await this.job_queue.restore(this.persistence_store);
     }
 
-    getUpdateScope(update) {
-        const type = update.effective_chat?.type;
+    /**
+     * All the conversation handlers, in every group.
+     * @returns {ConversationHandler[]}
+     */
+    get conversationHandlers() {
+        return [...this.handlers.values()].flatMap(group => group.conversation);
+    }
 
-        switch (type) {
-            case "private":
-                return ChatScope.PRIVATE;
+    /**
+     * Get the data stored for a user. The same `Map` is returned on every call.
+     * @param {number} user_id 
+     * @returns {Map<string, any>}
+     */
+    getUserData(user_id) {
+        if (!this.user_data.has(user_id)) {
+            this.user_data.set(user_id, new Map());
+        }
+        return this.user_data.get(user_id);
+    }
 
-            case "group":
-                return ChatScope.GROUP;
+    /**
+     * Get the data stored for a chat. The same `Map` is returned on every call.
+     * @param {number} chat_id 
+     * @returns {Map<string, any>}
+     */
+    getChatData(chat_id) {
+        if (!this.chat_data.has(chat_id)) {
+            this.chat_data.set(chat_id, new Map());
+        }
+        return this.chat_data.get(chat_id);
+    }
 
-            case "supergroup":
-                return ChatScope.SUPERGROUP;
+    /**
+     * Run the callback of a job with a fresh context. The data of the job's chat and user is available, and saved afterwards.
+     * @param {Job} job 
+     */
+    async #runJob(job) {
+        const context = new Context(null, this.bot, this);
+        context.job = job;
 
-            case "channel":
-                return ChatScope.CHANNEL;
+        if (job.chat_id !== null) context.chatData = this.getChatData(job.chat_id);
+        if (job.user_id !== null) context.userData = this.getUserData(job.user_id);
 
-            default:
-                return 0;
+        try {
+            await job.callback(context);
+        } catch (error) {
+            await this.processError(error, null, context);
+        }
+
+        try {
+            await this.persistData(job.user_id, job.chat_id);
+        } catch (error) {
+            await this.processError(error, null, context);
         }
     }
 
-    async dispatchHandlers(handlers, update, context, stopOnHandled = true) {
-        const currentScope = this.getUpdateScope(update);
+    /**
+     * Move the chat data and the conversations of a chat to a new chat ID. This is called automatically when a group is upgraded to a supergroup. Data already stored for the new ID is kept.
+     * 
+     * Calls for a chat whose migration is still running return the same promise.
+     * @param {number} from_chat_id 
+     * @param {number} to_chat_id 
+     * @returns {Promise<void>}
+     */
+    migrateChat(from_chat_id, to_chat_id) {
+        if (!this.#migrations.has(from_chat_id)) {
+            this.#migrations.set(from_chat_id, this.#moveChat(from_chat_id, to_chat_id).finally(() => this.#migrations.delete(from_chat_id)));
+        }
+        return this.#migrations.get(from_chat_id);
+    }
 
-        for (const handler of handlers) {
-            try {
+    async #moveChat(from_chat_id, to_chat_id) {
+        await this.initialize();
 
-                if ((handler.scope & currentScope) === 0) {
-                    continue;
-                }
+        const data = this.chat_data.get(from_chat_id);
 
-                const allowed = await this.checkPermissions(
-                    update,
-                    context,
-                    handler.requiredPermissions
-                );
+        if (data) {
+            const target = this.chat_data.get(to_chat_id);
 
-                if (!allowed) {
-                    continue;
+            if (target) {
+                for (const [key, value] of data) {
+                    if (!target.has(key)) target.set(key, value);
                 }
+            } else {
+                this.chat_data.set(to_chat_id, data);
+            }
 
-                const handled = await handler.handle(update, context);
-
-                if (handled && stopOnHandled) {
-                    return true;
-                }
+            this.chat_data.delete(from_chat_id);
 
-            } catch (error) {
-                console.error("Handler error:", error);
+            if (this.persistence_store) {
+                await this.persistence_store.updateChatData(to_chat_id, Object.fromEntries(this.chat_data.get(to_chat_id)));
+                await this.persistence_store.dropChatData(from_chat_id);
             }
         }
 
-        return false;
+        for (const handler of this.conversationHandlers) {
+            await handler.migrateChat(from_chat_id, to_chat_id);
+        }
     }
 
     /**
-     * Set up a webhook.
-     * @param {string} url 
-     * @param {{url:string, drop_pending_updates: boolean, max_connections: number, certificate: InputFile, ip_address: string, secret_token: string, allowed_updates: string[]}} config
-     * @returns 
+     * Write the user, chat and bot data touched by an update to the persistence backend.
+     * @param {Update} update 
      */
-    async setWebhook(config) {
-        let params = App.HTTP({ method: "setWebhook", params: { ...config } });
-        const response = await fetchWithTimeout(this.bot.endpoint, params, 20000);
-        const data = await response.json();
-
-        if (response.ok && data.url != '') {
-            return true;
-        }
-
-        throw new Error("Failed to set the webhook:", data);
+    async updatePersistence(update) {
+        await this.persistData(update.effective_user?.id, update.effective_chat?.id);
     }
 
     /**
-     * Delete the webhook.
-     * @returns {Promise<boolean>|Promise<Error>}
+     * Write the data of a user and a chat, and the bot data, to the persistence backend.
+     * @param {number} [user_id] 
+     * @param {number} [chat_id] 
      */
-    async deleteWebhook() {
+    async persistData(user_id, chat_id) {
+        if (!this.persistence_store) return;
 
-        let config = App.HTTP({ method: "deleteWebhook", params: {} });
-        const response = await fetchWithTimeout(this.bot.endpoint, config, 20000);
+        if (user_id && this.user_data.has(user_id)) {
+            await this.persistence_store.updateUserData(user_id, Object.fromEntries(this.user_data.get(user_id)));
+        }
 
-        if (response.ok) {
-            return true;
+        if (chat_id && this.chat_data.has(chat_id)) {
+            await this.persistence_store.updateChatData(chat_id, Object.fromEntries(this.chat_data.get(chat_id)));
         }
 
-        throw new Error("Failed to delete the webhook.");
+        await this.persistence_store.updateBotData(Object.fromEntries(Context.botData));
     }
 
     /**
-     * Retrieve information about the webhook.
-     * @returns {Promise<boolean>|Promise<WebhookInfo>}
+     * Add an update handler.
+     * 
+     * Handlers are organised in groups. Each group gets a chance to handle an update, starting from the lowest group number. For example, a handler in group `-1` sees every update before the handlers in the default group `0`.
+     * 
+     * @param {BaseHandler|ConversationHandler} handler
+     * @param {Permissions} permissions
+     * @param {number} scope
+     * @param {number} group
      */
-    async getWebhookInfo() {
-        let config = App.HTTP({ method: "getWebhookInfo", params: {} });
-        const response = await fetchWithTimeout(this.bot.endpoint, config, 20000);
-        const data = await response.json();
+    addHandler(handler, permissions = Permissions.MEMBER, scope = ChatScope.ALL, group = 0) {
+        handler.requiredPermissions = permissions;
+        handler.scope = scope;
 
-        if (response.ok) {
-            return new WebhookInfo(data.result);
-        } else {
-            console.warn("No webhook information:", data);
-            return false;
+        if (!this.handlers.has(group)) {
+            this.handlers.set(group, {
+                conversation: [],
+                command: [],
+                message: [],
+                callback_query: [],
+                chat_member: [],
+                inline_query: [],
+                chosen_inline_result: [],
+                shipping_query: [],
+                pre_checkout_query: [],
+                poll: [],
+                poll_answer: [],
+                message_reaction: [],
+                chat_join_request: [],
+                business_connection: [],
+                business_message: [],
+                deleted_business_messages: []
+            });
+            this.handlers = new Map([...this.handlers].sort(([a], [b]) => a - b));
         }
-    }
 
-    /**
-     * This is a convenience function. It applies a rate limit for processing updates. This is in order to avoid being timed out by your webhook provider (assuming you don't have a good plan).
-     */
-    async _applyRateLimit() {
-        const now = Date.now();
+        const handlers = this.handlers.get(group);
 
-        // If the time between updates is too short, introduce a delay
-        const delay = Math.max(0, this.lastProcessedTime + 100 - now); // Delay for 1 second between updates
-        if (delay > 0) {
-            // console.log(`Rate limit exceeded, waiting for ${delay}ms`);
-            await new Promise(resolve => setTimeout(resolve, delay));
+        if (handler instanceof ConversationHandler) {
+            handlers.conversation.push(handler);
         }
 
-        // Update the last processed time to the current time
-        this.lastProcessedTime = Date.now();
-    }
+        else if (handler instanceof CommandHandler) {
+            handlers.command.push(handler);
+        }
 
-    /**
-     * Check if a user has enough privileges.
-     * @param {Update} update
-     * @param {Context} context
-     * @param {number} requiredPermissions
-     * @returns {Promise<boolean>}
+        else if (handler instanceof MessageHandler) {
+            handlers.message.push(handler);
+        }
+
+        else if (handler instanceof CallbackQueryHandler) {
+            handlers.callback_query.push(handler);
+        }
+
+        else if (handler instanceof ChatMemberHandler) {
+            handlers.chat_member.push(handler);
+        }
+
+        else if (handler instanceof InlineQueryHandler) {
+            handlers.inline_query.push(handler);
+        }
+
+        else if (handler instanceof ChosenInlineResultHandler) {
+            handlers.chosen_inline_result.push(handler);
+        }
+
+        else if (handler instanceof ShippingQueryHandler) {
+            handlers.shipping_query.push(handler);
+        }
+
+        else if (handler instanceof PreCheckoutQueryHandler) {
+            handlers.pre_checkout_query.push(handler);
+        }
+
+        else if (handler instanceof PollHandler) {
+            handlers.poll.push(handler);
+        }
+
+        else if (handler instanceof PollAnswerHandler) {
+            handlers.poll_answer.push(handler);
+        }
+
+        else if (handler instanceof MessageReactionHandler) {
+            handlers.message_reaction.push(handler);
+        }
+
+        else if (handler instanceof ChatJoinRequestHandler) {
+            handlers.chat_join_request.push(handler);
+        }
+
+        else if (handler instanceof BusinessConnectionHandler) {
+            handlers.business_connection.push(handler);
+        }
+
+        else if (handler instanceof BusinessMessageHandler) {
+            handlers.business_message.push(handler);
+        }
+
+        else if (handler instanceof DeletedBusinessMessagesHandler) {
+            handlers.deleted_business_messages.push(handler);
+        }
+
+        else {
+            throw new Error("Unknown handler type.");
+        }
+
+        return this;
+    }
+
+    /**
+     * Add a middleware. Middlewares run in the order they are added, around the handlers. A middleware must call `next()` to pass the update on, or skip it to stop the update from reaching the handlers.
+     * 
+     * For example:
+     * 
+     * ```
+     * app.use(async (update, context, next) => {
+     *     const start = Date.now();
+     *     await next();
+     *     console.log(`Update ${update.update_id} handled in ${Date.now() - start}ms`);
+     * });
+     * ```
+     * 
+     * @param {(update: Update, context: Context, next: () => Promise<void>) => Promise<void>} middleware 
+     * @returns 
+     */
+    use(middleware) {
+        if (typeof middleware !== "function") {
+            throw new Error("A middleware must be a function.");
+        }
+
+        this.middlewares.push(middleware);
+        return this;
+    }
+
+    /**
+     * Add an error handler. Error handlers are called, in the order they are added, whenever a handler, a middleware, a scheduled task or the polling loop throws. `update` and `context` are `null` for errors that are not tied to an update.
+     * 
+     * For example:
+     * 
+     * ```
+     * app.addErrorHandler(async (error, update, context) => {
+     *     await context?.bot.sendMessage({chat_id: ADMIN_CHAT_ID, text: `Update ${update?.update_id} failed:\n${error.stack}`});
+     *     await update?.effective_message?.reply({text: "Something went wrong."});
+     * });
+     * ```
+     * 
+     * Without error handlers, errors are logged to the console.
+     * 
+     * @param {(error: Error, update: Update|null, context: Context|null) => Promise<void>} callback 
+     * @returns 
+     */
+    addErrorHandler(callback) {
+        if (typeof callback !== "function") {
+            throw new Error("An error handler must be a function.");
+        }
+
+        this.error_handlers.push(callback);
+        return this;
+    }
+
+    /**
+     * Pass an error to the error handlers, or log it if there are none. Errors thrown by the error handlers themselves are logged.
+     * @param {Error} error 
+     * @param {Update|null} update The update that was being processed, if any.
+     * @param {Context|null} context 
+     * @returns {Promise<void>}
+     */
+    async processError(error, update = null, context = null) {
+        if (!this.error_handlers.length) {
+            console.error(update ? `Error while processing update ${update.update_id}:` : "Error:", error);
+            return;
+        }
+
+        for (const handler of this.error_handlers) {
+            try {
+                await handler(error, update, context);
+            } catch (handlerError) {
+                console.error("Error handler failed:", handlerError);
+            }
+        }
+    }
+
+    /**
+     * Run the middlewares, then the handlers.
+     * @param {Update} update 
+     * @param {Context} context 
+     * @param {number} index 
+     */
+    async #runMiddlewares(update, context, index = 0) {
+        if (index >= this.middlewares.length) {
+            return await this.#processUpdate(update, context);
+        }
+
+        let called = false;
+
+        await this.middlewares[index](update, context, async () => {
+            if (called) {
+                throw new Error("next() called multiple times.");
+            }
+            called = true;
+            await this.#runMiddlewares(update, context, index + 1);
+        });
+    }
+
+    getUpdateScope(update) {
+        const type = update.effective_chat?.type;
+
+        switch (type) {
+            case "private":
+                return ChatScope.PRIVATE;
+
+            case "group":
+                return ChatScope.GROUP;
+
+            case "supergroup":
+                return ChatScope.SUPERGROUP;
+
+            case "channel":
+                return ChatScope.CHANNEL;
+
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Start a non-blocking handler without waiting for it. Its errors go to the error handlers, and the data it changes is persisted when it finishes.
+     * @param {BaseHandler} handler 
+     * @param {Update} update 
+     * @param {Context} context 
+     * @returns {Promise<boolean>} Whether the handler accepted the update.
+     */
+    async #handleInBackground(handler, update, context) {
+        if (!(await handler.canHandle(update))) {
+            return false;
+        }
+
+        const task = handler.invoke(update, context)
+            .finally(() => this.updatePersistence(update))
+            .catch(error => this.processError(error, update, context))
+            .finally(() => this.#background.delete(task));
+
+        this.#background.add(task);
+        return true;
+    }
+
+    async dispatchHandlers(handlers, update, context, stopOnHandled = true) {
+        const currentScope = this.getUpdateScope(update);
+
+        for (const handler of handlers) {
+            try {
+
+                // Updates without a chat (e.g. inline queries) are not bound to a scope
+                if (currentScope && (handler.scope & currentScope) === 0) {
+                    continue;
+                }
+
+                const allowed = await this.checkPermissions(
+                    update,
+                    context,
+                    handler.requiredPermissions
+                );
+
+                if (!allowed) {
+                    continue;
+                }
+
+                const handled = handler.blocking === false
+                    ? await this.#handleInBackground(handler, update, context)
+                    : await handler.handle(update, context);
+
+                if (handled && stopOnHandled) {
+                    return true;
+                }
+
+            } catch (error) {
+                await this.processError(error, update, context);
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Set up a webhook.
+     * @param {string} url 
+     * @param {{url:string, drop_pending_updates: boolean, max_connections: number, certificate: InputFile, ip_address: string, secret_token: string, allowed_updates: string[]}} config
+     * @returns 
+     */
+    async setWebhook(config) {
+        const { result } = await this.bot.request("setWebhook", { ...config });
+        return result;
+    }
+
+    /**
+     * Delete the webhook.
+     * @returns {Promise<boolean>}
+     */
+    async deleteWebhook() {
+
+        const { result } = await this.bot.request("deleteWebhook");
+        return result;
+    }
+
+    /**
+     * Retrieve information about the webhook.
+     * @returns {Promise<WebhookInfo>}
+     */
+    async getWebhookInfo() {
+        const { result } = await this.bot.request("getWebhookInfo");
+        return new WebhookInfo(result);
+    }
+
+    /**
+     * This is a convenience function. It applies a rate limit for processing updates. This is in order to avoid being timed out by your webhook provider (assuming you don't have a good plan).
+     */
+    async _applyRateLimit() {
+        const now = Date.now();
+
+        // If the time between updates is too short, introduce a delay
+        const delay = Math.max(0, this.lastProcessedTime + 100 - now); // Delay for 1 second between updates
+        if (delay > 0) {
+            // console.log(`Rate limit exceeded, waiting for ${delay}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        // Update the last processed time to the current time
+        this.lastProcessedTime = Date.now();
+    }
+
+    /**
+     * Check the permissions of an update whose sender has no membership to check. It passes handlers open to members, but not those restricted to admins or owners.
+     * @param {number} [userId] 
+     * @param {number|string} requiredPermissions 
+     * @returns {boolean}
+     */
+    #checkWithoutMembership(userId, requiredPermissions) {
+        if (typeof requiredPermissions !== "number") {
+            return true;
+        }
+
+        // A user ID instead of a permission mask.
+        if (requiredPermissions > Permissions.ALL) {
+            return userId === requiredPermissions;
+        }
+
+        return (requiredPermissions & Permissions.MEMBER) !== 0;
+    }
+
+    /**
+     * Check if a user has enough privileges.
+     * @param {Update} update
+     * @param {Context} context
+     * @param {number} requiredPermissions
+     * @returns {Promise<boolean>}
      */
     async checkPermissions(update, context, requiredPermissions) {
         const userId = update.effective_user?.id;
@@ -683,6 +1292,12 @@ class App {
             return true;
         }
 
+        // Updates without a chat (e.g. inline queries) or without a user (e.g. anonymous reaction counts) have no membership to check,
+        // and the applicants of join requests aren't members yet
+        if (!chatId || !userId || update.type === "chat_join_request") {
+            return this.#checkWithoutMembership(userId, requiredPermissions);
+        }
+
         if (update.effective_chat?.type === "channel" || update.effective_chat?.type === "private") {
             if (typeof requiredPermissions === "number" && userId === requiredPermissions) {
                 return true
@@ -695,7 +1310,13 @@ class App {
 
         const hasPerms = (userPerms, requiredPerms) => (userPerms & requiredPerms) !== 0;
         let userPermissions = Permissions.NONE;
-        const member = await context.bot.getChatMember({chat_id: chatId, user_id: userId});
+        let member = null;
+
+        try {
+            member = await context.bot.getChatMember({chat_id: chatId, user_id: userId});
+        } catch (error) {
+            console.error("Unable to check permissions:", error.message);
+        }
 
         switch (member?.status) {
             case "creator":
@@ -735,79 +1356,169 @@ class App {
             throw new Error("The bot instance does not exist.");
         }
 
-        const context = new Context(update, this.bot);
+        await this.initialize();
 
-        this.#queue.addTask(async () => {
+        const context = new Context(update, this.bot, this);
 
-            await this._applyRateLimit();
+        const key = update.effective_chat?.id ?? update.effective_user?.id ?? Symbol();
+        const message = update.message;
+        const migration = message?.migrate_to_chat_id ? [message.chat.id, message.migrate_to_chat_id]
+            : message?.migrate_from_chat_id ? [message.migrate_from_chat_id, message.chat.id]
+            : null;
 
-            // Conversation handlers first
-            if (this.handlers.conversation) {
-
-                const handled =
-                    await this.handlers.conversation.handle(
-                        update,
-                        context
-                    );
+        this.#inFlight.set(update.update_id, false);
+        // The update stops holding back the polling offset once it has finished or timed out.
+        const settled = () => this.#inFlight.delete(update.update_id);
 
-                if (this.handlers.conversation.isEnded) {
-                    this.handlers.conversation.reset();
+        this.#queue.add(key, async () => {
+            this.#inFlight.set(update.update_id, true);
+            try {
+                if (migration) {
+                    this.bot.emit("migrate", ...migration);
+                    // The handlers must see the chat data under its new ID.
+                    await this.migrateChat(...migration);
+                    context.chatData = this.getChatData(migration[1]);
                 }
 
-                if (handled) {
-                    return;
-                }
+                await this.#runMiddlewares(update, context);
+            } catch (error) {
+                await this.processError(error, update, context);
+            } finally {
+                await this.updatePersistence(update);
+                if (migration) await this.persistData(null, migration[1]);
             }
+        }, settled);
+    }
+
+    /**
+     * Pass an update to the handlers.
+     * @param {Update} update 
+     * @param {Context} context 
+     */
+    async #processUpdate(update, context) {
+        await this._applyRateLimit();
 
-            let handlers = [];
+        for (const handlers of this.handlers.values()) {
+            try {
+                await this.#processGroup(handlers, update, context);
+            } catch (error) {
+                await this.processError(error, update, context);
+            }
+        }
+    }
 
-            switch (update.type) {
-                case "channel_post":
-                case "message": {
-                    const text = update.effective_message?.text;
+    /**
+     * Pass an update to the handlers of one group.
+     * @param {{conversation: ConversationHandler[], command: CommandHandler[], message: MessageHandler[], callback_query: CallbackQueryHandler[], chat_member: ChatMemberHandler[], inline_query: InlineQueryHandler[], chosen_inline_result: ChosenInlineResultHandler[], shipping_query: ShippingQueryHandler[], pre_checkout_query: PreCheckoutQueryHandler[], poll: PollHandler[], poll_answer: PollAnswerHandler[], message_reaction: MessageReactionHandler[], chat_join_request: ChatJoinRequestHandler[], business_connection: BusinessConnectionHandler[], business_message: BusinessMessageHandler[], deleted_business_messages: DeletedBusinessMessagesHandler[]}} group 
+     * @param {Update} update 
+     * @param {Context} context 
+     */
+    async #processGroup(group, update, context) {
+        // Conversation handlers first
+        for (const conversation of group.conversation) {
 
+            const handled =
+                await conversation.handle(
+                    update,
+                    context
+                );
+
+            if (conversation.isEnded) {
+                conversation.reset();
+            }
+
+            if (handled) {
+                return;
+            }
+        }
+
+        let handlers = [];
+
+        switch (update.type) {
+            case "channel_post":
+            case "message": {
+                const text = update.effective_message?.text;
+
+                await this.dispatchHandlers(
+                    group.message,
+                    update,
+                    context,
+                    false
+                );
+
+                if (
+                    typeof text === "string" &&
+                    text.startsWith("/")
+                ) {
                     await this.dispatchHandlers(
-                        this.handlers.message,
+                        group.command,
                         update,
                         context,
-                        false
+                        true
                     );
-
-                    if (
-                        typeof text === "string" &&
-                        text.startsWith("/")
-                    ) {
-                        await this.dispatchHandlers(
-                            this.handlers.command,
-                            update,
-                            context,
-                            true
-                        );
-                    }
-
-                    return;
                 }
-                case "callback_query":
-                    handlers = this.handlers.callback_query;
-                    break;
-                case "chat_member":
-                case "my_chat_member":
-                    handlers = this.handlers.chat_member;
-                    break;
-            }
 
-            await this.dispatchHandlers(
-                handlers,
-                update,
-                context
-            );
-        });
-
-        this.#queue.processQueue();
+                return;
+            }
+            case "edited_channel_post":
+            case "edited_message":
+                // Edits never trigger commands
+                await this.dispatchHandlers(
+                    group.message,
+                    update,
+                    context,
+                    false
+                );
+                return;
+            case "callback_query":
+                handlers = group.callback_query;
+                break;
+            case "chat_member":
+            case "my_chat_member":
+                handlers = group.chat_member;
+                break;
+            case "inline_query":
+                handlers = group.inline_query;
+                break;
+            case "chosen_inline_result":
+                handlers = group.chosen_inline_result;
+                break;
+            case "shipping_query":
+                handlers = group.shipping_query;
+                break;
+            case "pre_checkout_query":
+                handlers = group.pre_checkout_query;
+                break;
+            case "poll":
+                handlers = group.poll;
+                break;
+            case "poll_answer":
+                handlers = group.poll_answer;
+                break;
+            case "message_reaction":
+            case "message_reaction_count":
+                handlers = group.message_reaction;
+                break;
+            case "chat_join_request":
+                handlers = group.chat_join_request;
+                break;
+            case "business_connection":
+                handlers = group.business_connection;
+                break;
+            case "business_message":
+            case "edited_business_message":
+                handlers = group.business_message;
+                break;
+            case "deleted_business_messages":
+                handlers = group.deleted_business_messages;
+                break;
+        }
 
-        // if (!this.#queue.running) {
-        //     await this.#queue.processQueue();
-        // }
+        await this.dispatchHandlers(
+            handlers,
+            update,
+            context
+        );
     }
 
     /**
@@ -817,36 +1528,52 @@ class App {
      */
     async run_polling(config, debug) {
         if (this.timeout) clearTimeout(this.timeout)
+        if (this.#stopping) return;
+        this.polling = true;
         try {
-            const params = App.HTTP({
-                method: "getUpdates", params: {
-                    offset: this.update_offset,
-                    ...config
-                }
-            });
-            const response = await fetchWithTimeout(this.bot.endpoint, params, 20000);
-
-            if (!response.ok) {
-                throw new Error(`Unable to fetch updates (${response.status}): ${await response.text()}`);
-            }
-
-            const updates = await response.json();
-
-            if (updates.ok && updates.result.length) {
-                if (debug) console.log(`[${new Date().toISOString()}] Update ${updates.result.at(-1).update_id}:\n${JSON.stringify(updates.result.at(-1))}`);
-                for (const data of updates.result) {
+            await this.initialize();
+            const { result: updates } = await this.bot.request("getUpdates", {
+                offset: this.update_offset,
+                ...config
+            }, { timeout: ((config?.timeout ?? 0) + 20) * 1000 });
+
+            if (updates.length) {
+                if (debug) console.log(`[${new Date().toISOString()}] Update ${updates.at(-1).update_id}:\n${JSON.stringify(updates.at(-1))}`);
+                for (const data of updates) {
+                    // Updates left out are delivered again after a restart.
+                    if (this.#stopping) break;
+                    if (this.#received.has(data.update_id)) continue;
+                    this.#received.add(data.update_id);
                     const update = new Update(data);
                     await this.getUpdates(update);
                     // if (update.update_id > this.update_offset){
                     // }
                 }
-                this.update_offset = this.last_update_id + 1;
             }
 
-            this.timeout = setTimeout(() => this.run_polling(config), 1000);
-        } catch (error) {
-            console.error("Error fetching updates:", error);
-            this.timeout = setTimeout(() => this.run_polling(config), 1000);
+            this.#advanceOffset();
+
+            if (!this.#stopping) this.timeout = setTimeout(() => this.run_polling(config), 1000);
+        } catch (error) {
+            // A pending request fails when the final offset is committed.
+            if (this.#stopping) return;
+            await this.processError(error);
+            this.timeout = setTimeout(() => this.run_polling(config), 1000);
+        }
+    }
+
+    /**
+     * Move `update_offset` past the polled updates that have been processed or have timed out. Telegram forgets the updates before the offset, so it stops at the oldest update still queued or running; those after it are skipped when they are received again.
+     */
+    #advanceOffset() {
+        const next = this.#inFlight.size > 0
+            ? Math.min(...this.#inFlight.keys())
+            : Math.max(this.update_offset, (this.last_update_id ?? -1) + 1);
+
+        this.update_offset = next;
+
+        for (const update_id of this.#received) {
+            if (update_id < next) this.#received.delete(update_id);
         }
     }
 
@@ -860,6 +1587,8 @@ class App {
             return;
         }
 
+        await this.initialize();
+
         const app = express();
         this.express = app;
         const PORT = config.port || 3000;
@@ -877,6 +1606,11 @@ class App {
                 return res.status(403).send('Forbidden');
             }
 
+            if (this.#stopping) {
+                // Telegram delivers the update again later.
+                return res.status(503).send("Stopping");
+            }
+
             res.status(200).send("ok");
             const update = new Update(req.body);
             try {
@@ -884,39 +1618,43 @@ class App {
                 App.cache(update);
                 await this.getUpdates(update);
             } catch (error) {
-                console.error(`Error processing update:`, error);
+                await this.processError(error, update);
             }
         });
 
         (async () => {
             this.server = app.listen(PORT, async () => {
-                const url = config.url || process.env.WEBHOOK_URL;
-                console.log(`WEBHOOK URL: ${url}`);
-                const webhookInfo = await this.getWebhookInfo();
-
-                // If webhook is already set at the correct URL, don't reset.
-                if (webhookInfo.url === url) {
-                    console.log(`Webhook is already set at ${url}`);
-                    return;
-                }
+                try {
+                    const url = config.url || process.env.WEBHOOK_URL;
+                    console.log(`WEBHOOK URL: ${url}`);
+                    const webhookInfo = await this.getWebhookInfo();
+
+                    // If webhook is already set at the correct URL, don't reset.
+                    if (webhookInfo.url === url) {
+                        console.log(`Webhook is already set at ${url}`);
+                        return;
+                    }
 
-                // If webhook is set to a different url, reset.
-                if (webhookInfo.url) {
-                    try {
-                        const deleted = await this.deleteWebhook();
-                        if (deleted) {
-                            console.log("Webhook deleted.");
+                    // If webhook is set to a different url, reset.
+                    if (webhookInfo.url) {
+                        try {
+                            const deleted = await this.deleteWebhook();
+                            if (deleted) {
+                                console.log("Webhook deleted.");
+                            }
+                        } catch (error) {
+                            console.error(`Unable to delete webhook:`, error);
                         }
-                    } catch (error) {
-                        console.error(`Unable to delete webhook:`, error);
                     }
-                }
 
-                const allowed_updates = config.allowed_updates || [UpdateType.ALL];
+                    const allowed_updates = config.allowed_updates || [UpdateType.ALL];
 
-                // If webhook is set incorrectly or unset, set it up.
-                await this.setWebhook({ url: url, drop_pending_updates: true, secret_token: process.env.SECRET_TOKEN, allowed_updates: allowed_updates });
-                console.log(`Webhook set at ${url}`);
+                    // If webhook is set incorrectly or unset, set it up.
+                    await this.setWebhook({ url: url, drop_pending_updates: true, secret_token: process.env.SECRET_TOKEN, allowed_updates: allowed_updates });
+                    console.log(`Webhook set at ${url}`);
+                } catch (error) {
+                    await this.processError(error);
+                }
             });
 
             this.server.timeout = config.serverTimeout || 0;
@@ -924,61 +1662,263 @@ class App {
     }
 
     /**
-     * Kills the express server.
+     * Stop the app gracefully. It stops receiving updates (polling or webhook), waits for the queued updates and the non-blocking handlers to finish, stops the job queue and the conversation timeouts, commits the polling offset so that processed updates aren't received again, and flushes the persistence backend.
+     * 
+     * For example:
+     * 
+     * ```
+     * process.once("SIGTERM", () => app.stop({timeout: 5000}));
+     * ```
+     * 
+     * @param {{timeout: number}} config `timeout`: how long to wait for the queued updates, in milliseconds (default 10000). Updates still running after it are abandoned, and those that haven't started are received again after a restart.
+     * @returns {Promise<void>}
      */
-    async stop() {
+    stop({ timeout = 10000 } = {}) {
+        if (!this.#stopping) {
+            this.#stopping = this.#shutdown(timeout);
+        }
+        return this.#stopping;
+    }
+
+    async #shutdown(timeout) {
+        clearTimeout(this.timeout);
+        this.timeout = null;
+
         if (this.server) {
             console.log("Stopping server...");
-            this.server.close(() => {
-                console.log("Server stopped.");
+            await new Promise(resolve => {
+                this.server.close(() => resolve());
+                this.server.closeIdleConnections?.();
             });
+            this.server = null;
+            console.log("Server stopped.");
+        }
+
+        if (!(await this.#drain(timeout))) {
+            console.warn(`Stopped with ${this.#queue.size + this.#background.size} update(s) still being processed.`);
+        }
+
+        this.job_queue.stop();
+
+        for (const handler of this.conversationHandlers) {
+            handler.stopTimers();
+        }
+
+        if (this.polling) {
+            // Updates still running after the timeout are abandoned like timed out ones, so the updates handled after them aren't received again.
+            // Only those that never started are delivered again after a restart.
+            for (const [update_id, started] of this.#inFlight) {
+                if (started) this.#inFlight.delete(update_id);
+            }
+            this.#advanceOffset();
+            try {
+                await this.bot.request("getUpdates", { offset: this.update_offset, limit: 1, timeout: 0 }, { retries: 0 });
+            } catch (error) {
+                await this.processError(error);
+            }
+        }
+
+        try {
+            await this.persistence_store?.flush();
+        } catch (error) {
+            await this.processError(error);
+        }
+
+        this.#onStopped?.();
+    }
+
+    /**
+     * Wait for the queued updates and the non-blocking handlers.
+     * @param {number} timeout 
+     * @returns {Promise<boolean>} `false` if the timeout expired first.
+     */
+    async #drain(timeout) {
+        const drained = (async () => {
+            do {
+                await this.#queue.idle();
+                await Promise.all(this.#background);
+            } while (this.#queue.size > 0 || this.#background.size > 0);
+            return true;
+        })();
+
+        let timer;
+        const expired = new Promise(resolve => {
+            timer = setTimeout(() => resolve(false), timeout);
+        });
+
+        try {
+            return await Promise.race([drained, expired]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Start the app and keep it running until it is stopped, either by `stop()` or by one of the given process signals. The promise resolves once the app has shut down.
+     * 
+     * For example:
+     * 
+     * ```
+     * await app.runUntilStopped({timeout: 60, allowed_updates: [UpdateType.ALL]});
+     * // Or with a webhook.
+     * await app.runUntilStopped({port: 8443}, {webhook: true});
+     * ```
+     * 
+     * @param {Object} config Passed to `run_polling()`, or to `run()` if `webhook` is set.
+     * @param {{webhook: boolean, signals: string[], timeout: number}} options `webhook`: receive updates with a webhook instead of polling. `signals`: the process signals that stop the app (default `SIGINT` and `SIGTERM`). `timeout`: passed to `stop()`.
+     * @returns {Promise<void>}
+     */
+    async runUntilStopped(config = {}, { webhook = false, signals = ["SIGINT", "SIGTERM"], timeout = 10000 } = {}) {
+        const stopped = new Promise(resolve => { this.#onStopped = resolve; });
+        const onSignal = (signal) => {
+            console.log(`Received ${signal}, stopping...`);
+            this.stop({ timeout });
+        };
+
+        for (const signal of signals) process.once(signal, onSignal);
+
+        try {
+            if (webhook) {
+                await this.run(config);
+            } else {
+                this.run_polling(config);
+            }
+
+            await stopped;
+        } finally {
+            for (const signal of signals) process.off(signal, onSignal);
         }
     }
 }
 
 /**
  * Represents a bot object.
+ * 
+ * It emits a `migrate` event with the old and the new chat ID when a group is upgraded to a supergroup. The app listens to it to move the chat data and conversations to the new ID.
+ * 
+ * For example:
+ * 
+ * ```
+ * app.bot.on("migrate", (from_chat_id, to_chat_id) => subscribers.replace(from_chat_id, to_chat_id));
+ * ```
  */
-class Bot {
+class Bot extends EventEmitter {
     /**
      * 
      * @param {string} token 
+     * @param {boolean} test_mode
+     * @param {{retries: number, backoff: number, maxBackoff: number, maxRetryAfter: number, retryMigrated: boolean}} retry How failed requests are retried. See `App.retry()`.
      */
-    constructor(token, test_mode = false) {
+    constructor(token, test_mode = false, retry = {}) {
+        super();
         this.token = token;
         this.endpoint = `https://api.telegram.org/bot${token}/${test_mode ? "test/" : ""}`
+        this.retry = { retries: 3, backoff: 1000, maxBackoff: 30000, maxRetryAfter: 60, retryMigrated: false, ...retry };
+        /**
+         * Throttles the requests that target a chat. See `App.rateLimiter()`.
+         * @type {RateLimiter|null}
+         */
+        this.limiter = null;
+    }
+
+    /**
+     * Call a Bot API method. Every method of the bot goes through here. The API response (`{ok, result}`) is returned, and a `TelegramError` is thrown if the request fails.
+     * 
+     * If the bot has a `RateLimiter`, requests that send a message to a chat wait for their turn first.
+     * 
+     * The request is retried when Telegram answers `429 Too Many Requests` (after waiting `parameters.retry_after` seconds), when it answers with a 5xx error, or when the connection fails. Other errors, and requests that time out, are not retried, as the API may have already carried them out.
+     * 
+     * If the target group was upgraded to a supergroup, a `migrate` event is emitted. With the `retryMigrated` option, the request is then sent again to the supergroup.
+     * 
+     * For example:
+     * 
+     * ```
+     * const { result: commands } = await bot.request("getMyCommands", {scope: {type: "default"}});
+     * ```
+     * 
+     * @param {string} method 
+     * @param {Object|FormData} params 
+     * @param {{timeout: number, retries: number}} options `timeout` in milliseconds, `retries` overrides the bot's default.
+     * @returns {Promise<{ok: boolean, result: any}>}
+     * @throws {TelegramError} `BadRequest`, `Forbidden`, `ChatMigrated`, `RetryAfter`, `Conflict`, `NetworkError`, `TimedOut` or a plain `TelegramError` for other status codes.
+     */
+    async request(method, params = {}, { timeout = 20000, retries = this.retry.retries } = {}) {
+        const url = params instanceof FormData ? this.endpoint + method : this.endpoint;
+        const options = App.HTTP({ method, params });
+        const chat_id = params instanceof FormData ? params.get("chat_id") ?? undefined : params.chat_id;
+
+        for (let attempt = 0; ; attempt++) {
+            let response;
+            let delay = Math.min(this.retry.backoff * 2 ** attempt, this.retry.maxBackoff);
+
+            if (this.limiter?.limits(method) && chat_id !== undefined) {
+                await this.limiter.acquire(chat_id);
+            }
+
+            try {
+                response = await fetchWithTimeout(url, options, timeout);
+            } catch (error) {
+                if (error.name === "AbortError") {
+                    throw new TimedOut(`${method} timed out after ${timeout}ms.`, { cause: error });
+                }
+                if (attempt >= retries) {
+                    throw new NetworkError(`${method} failed: ${error.message}`, { cause: error });
+                }
+                console.error(`${method} failed, retrying in ${delay}ms:`, error.message);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                continue;
+            }
+
+            const data = await response.json().catch(() => null);
+
+            if (data?.ok) return data;
+
+            const error = TelegramError.from({ error_code: response.status, description: response.statusText, ...data });
+
+            if (error instanceof ChatMigrated && chat_id !== undefined) {
+                this.emit("migrate", Number(chat_id), error.new_chat_id);
+
+                if (this.retry.retryMigrated) {
+                    if (params instanceof FormData) {
+                        params.set("chat_id", String(error.new_chat_id));
+                        return await this.request(method, params, { timeout, retries });
+                    }
+                    return await this.request(method, { ...params, chat_id: error.new_chat_id }, { timeout, retries });
+                }
+            }
+
+            if (attempt >= retries) throw error;
+
+            if (error instanceof RetryAfter) {
+                if (error.retry_after > this.retry.maxRetryAfter) throw error;
+                delay = error.retry_after * 1000;
+            } else if (!(error.error_code >= 500)) {
+                throw error;
+            }
+
+            console.error(`${method} failed (${error.error_code}), retrying in ${delay}ms:`, error.description);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
     }
 
     /**
      * Use this method to send text messages. On success, the sent `Message` is returned.
-     * @param {{chat_id: number|string, message_thread_id: number, text: string, parse_mode: string, entities: MessageEntity[], link_preview_options: LinkPreviewOptions|{is_disabled: boolean, url: string, prefer_small_media: boolean, prefer_large_media: boolean, show_above_text: boolean}, disable_notification: boolean, protect_content: boolean, message_effect_id: string, reply_parameters: ReplyParameters|Object, reply_markup: InlineKeyboardMarkup|Object}} config 
-     * @returns {Promise<Message>|Promise<null>}
+     * @param {{business_connection_id: string, chat_id: number|string, message_thread_id: number, text: string, parse_mode: string, entities: MessageEntity[], link_preview_options: LinkPreviewOptions|{is_disabled: boolean, url: string, prefer_small_media: boolean, prefer_large_media: boolean, show_above_text: boolean}, disable_notification: boolean, protect_content: boolean, message_effect_id: string, reply_parameters: ReplyParameters|Object, reply_markup: InlineKeyboardMarkup|Object}} config 
+     * @returns {Promise<Message>}
      */
     async sendMessage(config) {
-        let params = App.HTTP({ method: "sendMessage", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000);
-        if (!response.ok) {
-            console.error("Error:", await response.text());
-            return null;
-        }
-        const message = await response.json();
-        return new Message(message.result);
+        const { result } = await this.request("sendMessage", config);
+        return new Message(result);
     }
 
     /**
      * Use this method to stream a partial message to a user while the message is being generated. Note that the streamed draft is ephemeral and acts as a temporary 30-second preview - once the output is finalized, you must call sendMessage with the complete message to persist it in the user's chat. Returns True on success.
      * @param {{chat_id: number|string, message_thread_id: number, draft_id: number, text: string, parse_mode: string, entities: MessageEntity[]}} config 
-     * @returns {Promise<Boolean>|Promise<null>}
+     * @returns {Promise<Boolean>}
     */
     async sendMessageDraft(config) {
-        let params = App.HTTP({ method: "sendMessageDraft", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000);
-        if (!response.ok) {
-            console.error("Error:", await response.text());
-            return null;
-        }
-        const message = await response.json();
-        return new Boolean(message.result);
+        const { result } = await this.request("sendMessageDraft", config);
+        return new Boolean(result);
     }
 
     /**
@@ -998,10 +1938,8 @@ class Bot {
         for (const [key, val] of Object.entries({ ...config, ...App.defaultParams })) {
             formdata.append(key, val);
         }
-        let params = App.HTTP({ params: formdata });
-        const response = await fetchWithTimeout(this.endpoint + "sendPhoto", params, 20000)
-            .then(resp => resp.json());
-        return new Message(response.result);
+        const { result } = await this.request("sendPhoto", formdata);
+        return new Message(result);
     }
 
     /**
@@ -1020,10 +1958,8 @@ class Bot {
      * @returns {Promise<boolean>}
      */
     async deleteMessage(config) {
-        let params = App.HTTP({ method: "deleteMessage", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000)
-            .then(resp => resp.json());
-        return response.result;
+        const { result } = await this.request("deleteMessage", config);
+        return result;
     }
 
     /**
@@ -1035,10 +1971,8 @@ class Bot {
      * @returns {Promise<boolean>}
      */
     async banChatMember(config) {
-        let params = App.HTTP({ method: "banChatMember", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000)
-            .then(resp => resp.json());
-        return response.result;
+        const { result } = await this.request("banChatMember", config);
+        return result;
     }
 
     /**
@@ -1047,10 +1981,8 @@ class Bot {
      * @returns {Promise<boolean>}
      */
     async unbanChatMember(config) {
-        let params = App.HTTP({ method: "unbanChatMember", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000)
-            .then(resp => resp.json());
-        return response.result;
+        const { result } = await this.request("unbanChatMember", config);
+        return result;
     }
 
     /**
@@ -1059,10 +1991,172 @@ class Bot {
      * @returns {Promise<boolean>}
      */
     async answerCallbackQuery(config) {
-        let params = App.HTTP({ method: "answerCallbackQuery", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000)
-            .then(resp => resp.json());
-        return response.result;
+        const { result } = await this.request("answerCallbackQuery", config);
+        return result;
+    }
+
+    /**
+     * Use this method to send answers to an inline query. On success, True is returned. No more than 50 results per query are allowed.
+     * 
+     * For example:
+     * 
+     * ```
+     * await bot.answerInlineQuery({inline_query_id: update.inline_query.id, results: [new InlineQueryResultArticle({id: "1", title: "Hello", input_message_content: new InputTextMessageContent({message_text: "Hello!"})})]});
+     * ```
+     * 
+     * @param {{inline_query_id: string, results: InlineQueryResult[], cache_time: number, is_personal: boolean, next_offset: string, button: InlineQueryResultsButton}} config 
+     * @returns {Promise<boolean>}
+     */
+    async answerInlineQuery(config) {
+        const { result } = await this.request("answerInlineQuery", config);
+        return result;
+    }
+
+    /**
+     * Use this method to send invoices. On success, the sent `Message` is returned.
+     * 
+     * For example:
+     * 
+     * ```
+     * await bot.sendInvoice({chat_id: chat_id, title: "Premium", description: "One month of premium", payload: "premium-1m", currency: "XTR", prices: [new LabeledPrice({label: "Premium", amount: 100})]});
+     * ```
+     * 
+     * @param {{chat_id: number|string, message_thread_id: number, title: string, description: string, payload: string, provider_token: string, currency: string, prices: LabeledPrice[], max_tip_amount: number, suggested_tip_amounts: number[], start_parameter: string, provider_data: string, photo_url: string, photo_size: number, photo_width: number, photo_height: number, need_name: boolean, need_phone_number: boolean, need_email: boolean, need_shipping_address: boolean, send_phone_number_to_provider: boolean, send_email_to_provider: boolean, is_flexible: boolean, disable_notification: boolean, protect_content: boolean, message_effect_id: string, reply_parameters: ReplyParameters, reply_markup: InlineKeyboardMarkup}} config 
+     * @returns {Promise<Message>}
+     */
+    async sendInvoice(config) {
+        const { result } = await this.request("sendInvoice", config);
+        return new Message(result);
+    }
+
+    /**
+     * Use this method to create a link for an invoice. Returns the created invoice link as String on success.
+     * @param {{business_connection_id: string, title: string, description: string, payload: string, provider_token: string, currency: string, prices: LabeledPrice[], subscription_period: number, max_tip_amount: number, suggested_tip_amounts: number[], provider_data: string, photo_url: string, photo_size: number, photo_width: number, photo_height: number, need_name: boolean, need_phone_number: boolean, need_email: boolean, need_shipping_address: boolean, send_phone_number_to_provider: boolean, send_email_to_provider: boolean, is_flexible: boolean}} config 
+     * @returns {Promise<string>}
+     */
+    async createInvoiceLink(config) {
+        const { result } = await this.request("createInvoiceLink", config);
+        return result;
+    }
+
+    /**
+     * If you sent an invoice requesting a shipping address and the parameter is_flexible was specified, the Bot API will send an Update with a shipping_query field to the bot. Use this method to reply to shipping queries. On success, True is returned.
+     * @param {{shipping_query_id: string, ok: boolean, shipping_options: ShippingOption[], error_message: string}} config 
+     * @returns {Promise<boolean>}
+     */
+    async answerShippingQuery(config) {
+        const { result } = await this.request("answerShippingQuery", config);
+        return result;
+    }
+
+    /**
+     * Once the user has confirmed their payment and shipping details, the Bot API sends the final confirmation in the form of an Update with the field pre_checkout_query. Use this method to respond to such pre-checkout queries. On success, True is returned. Note: The Bot API must receive an answer within 10 seconds after the pre-checkout query was sent.
+     * @param {{pre_checkout_query_id: string, ok: boolean, error_message: string}} config 
+     * @returns {Promise<boolean>}
+     */
+    async answerPreCheckoutQuery(config) {
+        const { result } = await this.request("answerPreCheckoutQuery", config);
+        return result;
+    }
+
+    /**
+     * Refunds a successful payment in Telegram Stars. Returns True on success.
+     * @param {{user_id: number, telegram_payment_charge_id: string}} config 
+     * @returns {Promise<boolean>}
+     */
+    async refundStarPayment(config) {
+        const { result } = await this.request("refundStarPayment", config);
+        return result;
+    }
+
+    /**
+     * Returns the bot's Telegram Star transactions in chronological order. On success, returns a `StarTransactions` object.
+     * @param {{offset: number, limit: number}} config 
+     * @returns {Promise<StarTransactions>}
+     */
+    async getStarTransactions(config = {}) {
+        const { result } = await this.request("getStarTransactions", config);
+        return new StarTransactions(result);
+    }
+
+    /**
+     * Use this method to send a native poll. On success, the sent `Message` is returned.
+     * 
+     * For example:
+     * 
+     * ```
+     * await bot.sendPoll({chat_id: chat_id, question: "2 + 2?", options: ["3", "4", "5"], type: "quiz", correct_option_id: 1, is_anonymous: false});
+     * ```
+     * 
+     * Options can be given as plain strings or as `InputPollOption`s.
+     * 
+     * @param {{business_connection_id: string, chat_id: number|string, message_thread_id: number, question: string, question_parse_mode: string, question_entities: MessageEntity[], options: Array<InputPollOption|string>, is_anonymous: boolean, type: "regular"|"quiz", allows_multiple_answers: boolean, correct_option_id: number, explanation: string, explanation_parse_mode: string, explanation_entities: MessageEntity[], open_period: number, close_date: number, is_closed: boolean, disable_notification: boolean, protect_content: boolean, message_effect_id: string, reply_parameters: ReplyParameters, reply_markup: InlineKeyboardMarkup}} config 
+     * @returns {Promise<Message>}
+     */
+    async sendPoll(config) {
+        const options = config.options?.map(option => typeof option === "string" ? { text: option } : option);
+        const { result } = await this.request("sendPoll", { ...config, options });
+        return new Message(result);
+    }
+
+    /**
+     * Use this method to stop a poll which was sent by the bot. On success, the stopped `Poll` is returned.
+     * @param {{business_connection_id: string, chat_id: number|string, message_id: number, reply_markup: InlineKeyboardMarkup}} config 
+     * @returns {Promise<Poll>}
+     */
+    async stopPoll(config) {
+        const { result } = await this.request("stopPoll", config);
+        return new Poll(result);
+    }
+
+    /**
+     * Use this method to change the chosen reactions on a message. Service messages of some types can't be reacted to. Automatically forwarded messages from a channel to its discussion group have the same available reactions as messages in the channel. Bots can't use paid reactions. Returns True on success.
+     * 
+     * For example:
+     * 
+     * ```
+     * await bot.setMessageReaction({chat_id: chat_id, message_id: message_id, reaction: ["👍"]});
+     * ```
+     * 
+     * Reactions can be given as emoji strings or as `ReactionType`s.
+     * 
+     * @param {{chat_id: number|string, message_id: number, reaction: Array<ReactionType|string>, is_big: boolean}} config 
+     * @returns {Promise<boolean>}
+     */
+    async setMessageReaction(config) {
+        const reaction = config.reaction?.map(reaction => typeof reaction === "string" ? { type: "emoji", emoji: reaction } : reaction);
+        const { result } = await this.request("setMessageReaction", { ...config, reaction });
+        return result;
+    }
+
+    /**
+     * Use this method to get information about the connection of the bot with a business account. Returns a `BusinessConnection` object on success.
+     * @param {{business_connection_id: string}} config 
+     * @returns {Promise<BusinessConnection>}
+     */
+    async getBusinessConnection(config) {
+        const { result } = await this.request("getBusinessConnection", config);
+        return new BusinessConnection(result);
+    }
+
+    /**
+     * Marks incoming message as read on behalf of a business account. Requires the can_read_messages business bot right. Returns True on success.
+     * @param {{business_connection_id: string, chat_id: number, message_id: number}} config 
+     * @returns {Promise<boolean>}
+     */
+    async readBusinessMessage(config) {
+        const { result } = await this.request("readBusinessMessage", config);
+        return result;
+    }
+
+    /**
+     * Delete messages on behalf of a business account. Requires the can_delete_sent_messages business bot right to delete messages sent by the bot itself, or the can_delete_all_messages business bot right to delete any message. Returns True on success.
+     * @param {{business_connection_id: string, message_ids: number[]}} config 
+     * @returns {Promise<boolean>}
+     */
+    async deleteBusinessMessages(config) {
+        const { result } = await this.request("deleteBusinessMessages", config);
+        return result;
     }
 
     /**
@@ -1083,10 +2177,8 @@ class Bot {
             formdata.append(key, val);
         }
 
-        let params = App.HTTP({ params: formdata });
-        const response = await fetchWithTimeout(this.endpoint + "sendVideo", params, 60000)
-            .then(resp => resp.json());
-        return new Message(response.result);
+        const { result } = await this.request("sendVideo", formdata, { timeout: 60000 });
+        return new Message(result);
     }
 
     /**
@@ -1095,17 +2187,11 @@ class Bot {
      * @returns {Promise<Message>|Promise<boolean>}
      */
     async editMessageText(config) {
-        let params = App.HTTP({ method: "editMessageText", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000);
-        if (!response.ok) {
-            console.error(`Failed to edit message text:`, await response.text());
-            return false;
+        const { result } = await this.request("editMessageText", config);
+        if (typeof result === "boolean") {
+            return result;
         }
-        const message = await response.json();
-        if (message.result instanceof Boolean) {
-            return message.result;
-        }
-        return new Message(message.result);
+        return new Message(result);
     }
 
     /**
@@ -1114,14 +2200,8 @@ class Bot {
      * @returns {Promise<boolean>}
      */
     async pinChatMessage(config) {
-        let params = App.HTTP({ method: "pinChatMessage", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000);
-        if (!response.ok) {
-            console.error(`Failed to pin message:`, await response.text());
-            return false;
-        }
-        const message = await response.json();
-        return message.result;
+        const { result } = await this.request("pinChatMessage", config);
+        return result;
     }
 
     /**
@@ -1130,14 +2210,8 @@ class Bot {
      * @returns {Promise<boolean>}
      */
     async unpinChatMessage(config) {
-        let params = App.HTTP({ method: "unpinChatMessage", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000);
-        if (!response.ok) {
-            console.error(`Failed to unpin message:`, await response.text());
-            return false;
-        }
-        const message = await response.json();
-        return message.result;
+        const { result } = await this.request("unpinChatMessage", config);
+        return result;
     }
 
 
@@ -1147,14 +2221,8 @@ class Bot {
      * @returns {Promise<boolean>}
      */
     async unpinAllChatMessages(config) {
-        let params = App.HTTP({ method: "unpinAllChatMessages", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000);
-        if (!response.ok) {
-            console.error(`Failed to unpin all messages:`, await response.text());
-            return false;
-        }
-        const message = await response.json();
-        return message.result;
+        const { result } = await this.request("unpinAllChatMessages", config);
+        return result;
     }
 
     /**
@@ -1163,13 +2231,11 @@ class Bot {
      * @returns {Promise<Message>|Promise<boolean>}
      */
     async editMessageMedia(config) {
-        let params = App.HTTP({ method: "editMessageMedia", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 60000)
-            .then(resp => resp.json());
-        if (response.result instanceof Boolean) {
-            return response.result;
+        const { result } = await this.request("editMessageMedia", config, { timeout: 60000 });
+        if (typeof result === "boolean") {
+            return result;
         }
-        return new Message(response.result);
+        return new Message(result);
     }
 
     /**
@@ -1178,10 +2244,8 @@ class Bot {
      * @returns {Promise<boolean>}
      */
     async sendChatAction(config) {
-        let params = App.HTTP({ method: "sendChatAction", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000)
-            .then(resp => resp.json());
-        return response.result;
+        const { result } = await this.request("sendChatAction", config);
+        return result;
     }
 
     /**
@@ -1208,15 +2272,9 @@ class Bot {
             formdata.append(filename, blob);
         }
 
-        const params = App.HTTP({ params: formdata });
-        const response = await fetchWithTimeout(this.endpoint + "sendMediaGroup", params, 120000)
-            .then(resp => resp.json());
-
-        if (!response.result) {
-            throw new Error(`Error sending media group: ${JSON.stringify(response, null, 2)}`);
-        }
+        const { result } = await this.request("sendMediaGroup", formdata, { timeout: 120000 });
 
-        return response.result.map(message => new Message(message));
+        return result.map(message => new Message(message));
     }
 
     /**
@@ -1228,10 +2286,8 @@ class Bot {
      * @returns {Promise<_File>}
      */
     async getFile(config) {
-        let params = App.HTTP({ method: "getFile", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000)
-            .then(resp => resp.json());
-        return new _File(response.result);
+        const { result } = await this.request("getFile", config);
+        return new _File(result);
     }
 
     /**
@@ -1248,10 +2304,8 @@ class Bot {
 
         formdata.append("document", config.document, "Archive.zip");
 
-        let params = App.HTTP({ params: formdata });
-        const response = await fetchWithTimeout(this.endpoint + "sendDocument", params, 120000)
-            .then(resp => resp.json());
-        return new Message(response.result);
+        const { result } = await this.request("sendDocument", formdata, { timeout: 120000 });
+        return new Message(result);
     }
 
     /**
@@ -1260,15 +2314,8 @@ class Bot {
      * @returns {Promise<ChatMemberMember>|Promise<ChatMemberRestricted>|Promise<ChatMemberBanned>|Promise<ChatMemberOwner>|Promise<ChatMemberAdministrator>|Promise<ChatMemberLeft>}
      */
     async getChatMember(config) {
-        let params = App.HTTP({ method: "getChatMember", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000);
-
-        if (!response.ok) {
-            console.error(await response.text());
-            return null;
-        }
-        const resp = await response.json();
-        return new ChatMember(resp.result);
+        const { result } = await this.request("getChatMember", config);
+        return new ChatMember(result);
     }
 
     /**
@@ -1277,65 +2324,28 @@ class Bot {
      * @returns {Promise<Array<ChatMember>>}
      */
     async getChatAdministrators(config) {
-        let params = App.HTTP({ method: "getChatAdministrators", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000);
-
-        if (!response.ok) {
-            console.error(await response.text());
-            return null;
-        }
-        const resp = await response.json();
-        return resp.result.map(x => new ChatMember(x));
+        const { result } = await this.request("getChatAdministrators", config);
+        return result.map(x => new ChatMember(x));
     }
 
     /**
      * Use this method to get up-to-date information about the chat. Returns a `ChatFullInfo` object on success.
      * @param {string|number} chat_id Unique identifier for the target chat or username of the target supergroup or channel (in the format `@channelusername`).
-     * @returns {Promise<ChatFullInfo>|Promise<null>}
+     * @returns {Promise<ChatFullInfo>}
      */
     async getChat(chat_id) {
-        const response = await fetchWithTimeout(this.endpoint + "getChat", {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify({
-                chat_id: chat_id
-            })
-        }, 20000);
-
-        if (!response.ok) {
-            console.error("Error:", await response.text());
-            return null;
-        }
-        const resp = await response.json();
-
-        return new ChatFullInfo(resp.result);
+        const { result } = await this.request("getChat", { chat_id: chat_id });
+        return new ChatFullInfo(result);
     }
 
     /**
      * Use this method to get the number of members in a chat. Returns Int on success.
      * @param {string|number} chat_id Unique identifier for the target chat or username of the target supergroup or channel (in the format `@channelusername`).
-     * @returns {Promise<number>|Promise<null>}
+     * @returns {Promise<number>}
      */
     async getChatMemberCount(chat_id) {
-        const response = await fetchWithTimeout(this.endpoint + "getChatMemberCount", {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify({
-                chat_id: chat_id
-            })
-        }, 20000);
-
-        if (!response.ok) {
-            console.error("Error:", await response.text());
-            return null;
-        }
-        const resp = await response.json();
-
-        return resp.result;
+        const { result } = await this.request("getChatMemberCount", { chat_id: chat_id });
+        return result;
     }
 
     /**
@@ -1343,16 +2353,8 @@ class Bot {
      * @param {{chat_id: number|string, user_id: number, permissions: ChatPermissions, use_independent_chat_permissions: boolean, until_date: number}} config 
      */
     async restrictChatMember(config) {
-        let params = App.HTTP({ method: "restrictChatMember", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params);
-
-        if (!response.ok) {
-            console.error("Error:", await response.text());
-            return null;
-        }
-
-        const result = await response.json();
-        return result.result;
+        const { result } = await this.request("restrictChatMember", config);
+        return result;
     }
 
     /**
@@ -1361,16 +2363,8 @@ class Bot {
      * @returns {Promise<Message>}
      */
     async forwardMessage(config) {
-        let params = App.HTTP({ method: "forwardMessage", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000);
-
-        if (!response.ok) {
-            console.error("Error:", await response.text());
-            return null;
-        }
-
-        const result = await response.json();
-        return new Message(result.result);
+        const { result } = await this.request("forwardMessage", config);
+        return new Message(result);
     }
 
     /**
@@ -1381,20 +2375,11 @@ class Bot {
     async forwardMessages(config) {
 
         if (config.message_ids.length > 100 || config.message_ids.length < 1) {
-            console.error("The array of message ids must be between 1 and 100.");
-            return null;
-        }
-
-        let params = App.HTTP({ method: "forwardMessages", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 30000);
-
-        if (!response.ok) {
-            console.error("Error:", await response.text());
-            return null;
+            throw new BadRequest("The array of message ids must be between 1 and 100.");
         }
 
-        const result = await response.json();
-        return result.result.map(x => new MessageId(x));
+        const { result } = await this.request("forwardMessages", config, { timeout: 30000 });
+        return result.map(x => new MessageId(x));
     }
 
     /**
@@ -1403,16 +2388,8 @@ class Bot {
      * @returns {Promise<UserProfilePhotos>}
      */
     async getUserProfilePhotos(config) {
-        let params = App.HTTP({ method: "getUserProfilePhotos", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 30000);
-
-        if (!response.ok) {
-            console.error("Error:", await response.text());
-            return null;
-        }
-
-        const result = await response.json();
-        return new UserProfilePhotos(result.result);
+        const { result } = await this.request("getUserProfilePhotos", config, { timeout: 30000 });
+        return new UserProfilePhotos(result);
     }
 
     /**
@@ -1421,16 +2398,8 @@ class Bot {
      * @returns {Promise<string>}
      */
     async exportChatInviteLink(config) {
-        let params = App.HTTP({ method: "exportChatInviteLink", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000);
-
-        if (!response.ok) {
-            console.error("Error:", await response.text());
-            return null;
-        }
-
-        const result = await response.json();
-        return result.result;
+        const { result } = await this.request("exportChatInviteLink", config);
+        return result;
     }
 
     /**
@@ -1439,16 +2408,8 @@ class Bot {
      * @returns {Promise<ChatInviteLink>}
      */
     async createChatInviteLink(config) {
-        let params = App.HTTP({ method: "createChatInviteLink", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000);
-
-        if (!response.ok) {
-            console.error("Error:", await response.text());
-            return null;
-        }
-
-        const result = await response.json();
-        return new ChatInviteLink(result.result);
+        const { result } = await this.request("createChatInviteLink", config);
+        return new ChatInviteLink(result);
     }
 
     /**
@@ -1457,16 +2418,8 @@ class Bot {
      * @returns {Promise<ChatInviteLink>}
      */
     async revokeChatInviteLink(config) {
-        let params = App.HTTP({ method: "revokeChatInviteLink", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000);
-
-        if (!response.ok) {
-            console.error("Error:", await response.text());
-            return null;
-        }
-
-        const result = await response.json();
-        return new ChatInviteLink(result.result);
+        const { result } = await this.request("revokeChatInviteLink", config);
+        return new ChatInviteLink(result);
     }
 
     /**
@@ -1475,16 +2428,8 @@ class Bot {
      * @returns {Promise<ChatInviteLink>}
      */
     async editChatInviteLink(config) {
-        let params = App.HTTP({ method: "editChatInviteLink", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000);
-
-        if (!response.ok) {
-            console.error("Error:", await response.text());
-            return null;
-        }
-
-        const result = await response.json();
-        return new ChatInviteLink(result.result);
+        const { result } = await this.request("editChatInviteLink", config);
+        return new ChatInviteLink(result);
     }
 
     /**
@@ -1493,16 +2438,8 @@ class Bot {
      * @returns {Promise<boolean>}
      */
     async approveChatJoinRequest(config) {
-        let params = App.HTTP({ method: "approveChatJoinRequest", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000);
-
-        if (!response.ok) {
-            console.error("Error:", await response.text());
-            return false;
-        }
-
-        const result = await response.json();
-        return result.result;
+        const { result } = await this.request("approveChatJoinRequest", config);
+        return result;
     }
 
     /**
@@ -1511,16 +2448,8 @@ class Bot {
      * @returns {Promise<boolean>}
      */
     async declineChatJoinRequest(config) {
-        let params = App.HTTP({ method: "declineChatJoinRequest", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000);
-
-        if (!response.ok) {
-            console.error("Error:", await response.text());
-            return false;
-        }
-
-        const result = await response.json();
-        return result.result;
+        const { result } = await this.request("declineChatJoinRequest", config);
+        return result;
     }
 
     /**
@@ -1531,20 +2460,11 @@ class Bot {
     async setChatMemberTag(config) {
 
         if (config.tag.length > 16) {
-            console.error("Error: Maximum tag length is 16 characters. No emojis.");
-            return false;
-        }
-
-        let params = App.HTTP({ method: "setChatMemberTag", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000);
-
-        if (!response.ok) {
-            console.error("Error:", await response.text());
-            return false;
+            throw new BadRequest("Maximum tag length is 16 characters. No emojis.");
         }
 
-        const result = await response.json();
-        return result.result;
+        const { result } = await this.request("setChatMemberTag", config);
+        return result;
     }
 
     /**
@@ -1556,16 +2476,8 @@ class Bot {
      * @returns {Promise<ForumTopic>}
      */
     async createForumTopic(config) {
-        let params = App.HTTP({ method: "createForumTopic", params: config });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000);
-
-        if (!response.ok) {
-            console.error("Error:", await response.text());
-            return false;
-        }
-
-        const result = await response.json();
-        return new ForumTopic(result.result);
+        const { result } = await this.request("createForumTopic", config);
+        return new ForumTopic(result);
     }
 
     /**
@@ -1573,16 +2485,8 @@ class Bot {
      * @returns {Promise<Sticker[]>}
      */
     async getForumTopicIconStickers(){
-        let params = App.HTTP({ method: "getForumTopicIconStickers", params: {} });
-        const response = await fetchWithTimeout(this.endpoint, params, 20000);
-
-        if (!response.ok) {
-            console.error("Error:", await response.text());
-            return false;
-        }
-
-        const result = await response.json();
-        return result.result.map(s => new Sticker(s));
+        const { result } = await this.request("getForumTopicIconStickers", {});
+        return result.map(s => new Sticker(s));
     }
 
 }
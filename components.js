@@ -1,4 +1,4 @@
-import {filterObject} from "./utils.js";
+import {filterObject, reactionKey} from "./utils.js";
 import { Context } from "./base.js";
 
 /**
@@ -799,6 +799,12 @@ class Message{
      */
     get message_thread_id(){return this.message?.message_thread_id};
 
+    /**
+     * Optional. True, if the message is sent to a forum topic.
+     * @returns {boolean}
+     */
+    get is_topic_message(){return this.message?.is_topic_message};
+
     /**
      * Optional. Sender of the message.
      * @returns {User}
@@ -823,6 +829,24 @@ class Message{
      */
     get chat(){return this.message?.chat ? new Chat(this.message.chat) : null};
 
+    /**
+     * Optional. Unique identifier of the business connection from which the message was received. If non-empty, the message belongs to a chat of the corresponding business account that is independent from any potential bot chat which might share the same identifier.
+     * @returns {string}
+     */
+    get business_connection_id(){return this.message?.business_connection_id};
+
+    /**
+     * Optional. The bot that actually sent the message on behalf of the business account. Available only for outgoing messages sent on behalf of the connected business account.
+     * @returns {User}
+     */
+    get sender_business_bot(){return this.message?.sender_business_bot ? new User(this.message.sender_business_bot) : null};
+
+    /**
+     * Optional. True, if the message was sent by an implicit action, for example, as an away or a greeting business message, or as a scheduled message.
+     * @returns {boolean}
+     */
+    get is_from_offline(){return this.message?.is_from_offline};
+
     // ===== FORWARD / REPLY =====
 
     /**
@@ -845,6 +869,12 @@ class Message{
             : null;
     }
 
+    /**
+     * Optional. Bot through which the message was sent.
+     * @returns {User}
+     */
+    get via_bot(){return this.message?.via_bot ? new User(this.message.via_bot) : null};
+
     /**
      * Optional. Information about the message that is being replied to, which may come from another chat or forum topic.
      * @returns {ExternalReplyInfo}
@@ -911,6 +941,12 @@ class Message{
             : null;
     }
 
+    /**
+     * Optional. Message is a forwarded story.
+     * @returns {Story}
+     */
+    get story(){return this.message?.story ? new Story(this.message.story) : null};
+
     /**
      * Optional. Message is a photo.
      * @returns {PhotoSize[]}
@@ -1035,6 +1071,38 @@ class Message{
             : null;
     }
 
+    /**
+     * Optional. Message is a service message about a successful payment, information about the payment.
+     * @returns {SuccessfulPayment}
+     */
+    get successful_payment(){
+        return this.message?.successful_payment
+            ? new SuccessfulPayment(this.message.successful_payment)
+            : null;
+    }
+
+    /**
+     * Optional. Message is a service message about a refunded payment, information about the payment.
+     * @returns {RefundedPayment}
+     */
+    get refunded_payment(){
+        return this.message?.refunded_payment
+            ? new RefundedPayment(this.message.refunded_payment)
+            : null;
+    }
+
+    /**
+     * Optional. The group has been migrated to a supergroup with the specified identifier.
+     * @returns {number}
+     */
+    get migrate_to_chat_id(){return this.message?.migrate_to_chat_id}
+
+    /**
+     * Optional. The supergroup has been migrated from a group with the specified identifier.
+     * @returns {number}
+     */
+    get migrate_from_chat_id(){return this.message?.migrate_from_chat_id}
+
     // ===== SERVICE =====
 
     /**
@@ -1346,7 +1414,7 @@ class Message{
      * @returns {Promise<Message>|Promise<boolean>}
      */
     async editText(config){
-        return await Context.bot.editMessageText({"chat_id": this.chat.id, "message_id": this.message_id, ...config});
+        return await Context.bot.editMessageText({"business_connection_id": this.business_connection_id, "chat_id": this.chat.id, "message_id": this.message_id, ...config});
     }
     
     /**
@@ -1370,12 +1438,12 @@ class Message{
     }
 
     /**
-     * Use this method to reply to a text message. On success, the sent `Message` is returned.
+     * Use this method to reply to a text message. On success, the sent `Message` is returned. Replies to business messages are sent through the same business connection.
      * @param {{text: string, parse_mode: string, link_preview_options: LinkPreviewOptions|{is_disabled: boolean, url: string, prefer_small_media: boolean, prefer_large_media: boolean, show_above_text: boolean}, disable_notification: boolean, protect_content: boolean, message_effect_id: string, reply_markup: InlineKeyboardMarkup|Object}} config 
      * @returns {Promise<Message>}
      */
     async reply(config){
-        return await Context.bot.sendMessage({chat_id: this.chat.id, ...new ReplyParameters({message_id: this.message_id}), ...config});
+        return await Context.bot.sendMessage({business_connection_id: this.business_connection_id, chat_id: this.chat.id, ...new ReplyParameters({message_id: this.message_id}), ...config});
     }
 
     /**
@@ -1387,7 +1455,7 @@ class Message{
      * @returns {Promise<boolean>}
      */
     async pin(config){
-        return await Context.bot.pinChatMessage({chat_id: this.chat.id, message_id: this.message_id, ...config})
+        return await Context.bot.pinChatMessage({business_connection_id: this.business_connection_id, chat_id: this.chat.id, message_id: this.message_id, ...config})
     }
 
     /**
@@ -1399,7 +1467,7 @@ class Message{
      * @returns {Promise<boolean>}
      */
     async unpin(config){
-        return await Context.bot.unpinChatMessage({chat_id: this.chat.id, message_id: this.message_id, ...config})
+        return await Context.bot.unpinChatMessage({business_connection_id: this.business_connection_id, chat_id: this.chat.id, message_id: this.message_id, ...config})
     }
 
     /**
@@ -1413,6 +1481,18 @@ class Message{
     async forward(config){
         return await Context.bot.forwardMessage({from_chat_id: this.chat.id, message_id: this.message_id, ...config});
     }
+
+    /**
+     * Use this method to change the chosen reactions on a message. Returns `True` on success.
+     * 
+     * Shortcut of `bot.setMessageReaction()`.
+     * 
+     * @param {{reaction: Array<ReactionType|string>, is_big: boolean}} config 
+     * @returns {Promise<boolean>}
+     */
+    async react(config){
+        return await Context.bot.setMessageReaction({chat_id: this.chat.id, message_id: this.message_id, ...config});
+    }
 }
 
 /**
@@ -1843,6 +1923,18 @@ class Chat {
         return await Context.bot.sendDocument({chat_id: this.id, ...config});
     }
 
+    /**
+     * Use this method to send a native poll. On success, the sent `Message` is returned.
+     * 
+     * Shortcut of `bot.sendPoll()`.
+     * 
+     * @param {{message_thread_id: number, question: string, question_parse_mode: string, question_entities: MessageEntity[], options: Array<InputPollOption|string>, is_anonymous: boolean, type: "regular"|"quiz", allows_multiple_answers: boolean, correct_option_id: number, explanation: string, explanation_parse_mode: string, explanation_entities: MessageEntity[], open_period: number, close_date: number, is_closed: boolean, disable_notification: boolean, protect_content: boolean, message_effect_id: string, reply_parameters: ReplyParameters, reply_markup: InlineKeyboardMarkup}} config 
+     * @returns {Promise<Message>}
+     */
+    async sendPoll(config){
+        return await Context.bot.sendPoll({chat_id: this.id, ...config});
+    }
+
     /**
      * Use this method when you need to tell the user that something is happening on the bot's side. The status is set for 5 seconds or less (when a message arrives from your bot, Telegram clients clear its typing status). Returns `True` on success.
      * 
@@ -2135,6 +2227,28 @@ class ChatJoinRequest {
             ? new ChatInviteLink(this.chat_join_request.invite_link)
             : null;
     }
+
+    /**
+     * Use this method to approve a chat join request. The bot must be an administrator in the chat for this to work and must have the can_invite_users administrator right. Returns True on success.
+     * 
+     * Shortcut of `bot.approveChatJoinRequest()`.
+     * 
+     * @returns {Promise<boolean>}
+     */
+    async approve(){
+        return await Context.bot.approveChatJoinRequest({chat_id: this.chat.id, user_id: this.from.id});
+    }
+
+    /**
+     * Use this method to decline a chat join request. The bot must be an administrator in the chat for this to work and must have the can_invite_users administrator right. Returns True on success.
+     * 
+     * Shortcut of `bot.declineChatJoinRequest()`.
+     * 
+     * @returns {Promise<boolean>}
+     */
+    async decline(){
+        return await Context.bot.declineChatJoinRequest({chat_id: this.chat.id, user_id: this.from.id});
+    }
 }
 
 /**
@@ -2320,6 +2434,11 @@ class ReactionTypeEmoji {
     constructor (reaction_type_emoji){
         this.reaction_type_emoji = reaction_type_emoji;
     }
+
+    toJSON(){
+        return { ...this.reaction_type_emoji };
+    }
+
     /**
      * Type of the reaction, always “emoji”.
      * @returns {string}
@@ -2339,6 +2458,11 @@ class ReactionTypeCustomEmoji {
     constructor (reaction_type_custom_emoji){
         this.reaction_type_custom_emoji = reaction_type_custom_emoji;
     }
+
+    toJSON(){
+        return { ...this.reaction_type_custom_emoji };
+    }
+
     /**
      * Type of the reaction, always “custom_emoji”.
      * @returns {string}
@@ -2358,6 +2482,11 @@ class ReactionTypePaid {
     constructor (reaction_type_paid){
         this.reaction_type_paid = reaction_type_paid;
     }
+
+    toJSON(){
+        return { ...this.reaction_type_paid };
+    }
+
     /**
      * Type of the reaction, always “paid”.
      * @returns {string}
@@ -5924,6 +6053,1530 @@ class ExternalReplyInfo {
     }
 }
 
+/**
+ * This object represents an incoming inline query. When the user sends an empty query, your bot could return some default or trending results.
+ */
+class InlineQuery {
+    constructor(inline_query) {
+        this.inline_query = inline_query;
+    }
+
+    toJSON() {
+        return { ...this };
+    }
+
+    /**
+     * Unique identifier for this query.
+     * @returns {string}
+     */
+    get id(){return this.inline_query?.id};
+
+    /**
+     * Sender.
+     * @returns {User}
+     */
+    get from(){return this.inline_query?.from ? new User(this.inline_query.from) : null};
+
+    /**
+     * Text of the query (up to 256 characters).
+     * @returns {string}
+     */
+    get query(){return this.inline_query?.query};
+
+    /**
+     * Offset of the results to be returned, can be controlled by the bot.
+     * @returns {string}
+     */
+    get offset(){return this.inline_query?.offset};
+
+    /**
+     * Optional. Type of the chat from which the inline query was sent. Can be either “sender” for a private chat with the inline query sender, “private”, “group”, “supergroup”, or “channel”. The chat type should be always known for requests sent from official clients and most third-party clients, unless the request was sent from a secret chat.
+     * @returns {string}
+     */
+    get chat_type(){return this.inline_query?.chat_type};
+
+    /**
+     * Optional. Sender location, only for bots that request user location.
+     * @returns {Location}
+     */
+    get location(){return this.inline_query?.location ? new Location(this.inline_query.location) : null};
+
+    /**
+     * Use this method to send answers to an inline query. On success, True is returned. No more than 50 results per query are allowed.
+     * 
+     * Shortcut for `bot.answerInlineQuery()`.
+     * 
+     * @param {{results: InlineQueryResult[], cache_time: number, is_personal: boolean, next_offset: string, button: InlineQueryResultsButton}} config 
+     * @returns {Promise<boolean>}
+     */
+    async answer(config){
+        return await Context.bot.answerInlineQuery({inline_query_id: this.id, ...config});
+    }
+}
+
+/**
+ * Represents a result of an inline query that was chosen by the user and sent to their chat partner.
+ */
+class ChosenInlineResult {
+    constructor(chosen_inline_result) {
+        this.chosen_inline_result = chosen_inline_result;
+    }
+
+    toJSON() {
+        return { ...this };
+    }
+
+    /**
+     * The unique identifier for the result that was chosen.
+     * @returns {string}
+     */
+    get result_id(){return this.chosen_inline_result?.result_id};
+
+    /**
+     * The user that chose the result.
+     * @returns {User}
+     */
+    get from(){return this.chosen_inline_result?.from ? new User(this.chosen_inline_result.from) : null};
+
+    /**
+     * Optional. Sender location, only for bots that require user location.
+     * @returns {Location}
+     */
+    get location(){return this.chosen_inline_result?.location ? new Location(this.chosen_inline_result.location) : null};
+
+    /**
+     * Optional. Identifier of the sent inline message. Available only if there is an inline keyboard attached to the message. Will be also received in callback queries and can be used to edit the message.
+     * @returns {string}
+     */
+    get inline_message_id(){return this.chosen_inline_result?.inline_message_id};
+
+    /**
+     * The query that was used to obtain the result.
+     * @returns {string}
+     */
+    get query(){return this.chosen_inline_result?.query};
+}
+
+/**
+ * This object represents a button to be shown above inline query results. You must use exactly one of the optional fields.
+ */
+class InlineQueryResultsButton {
+    /**
+     * @param {{text: string, web_app: WebAppInfo, start_parameter: string}} config 
+     */
+    constructor(config){
+        this.config = config;
+    }
+
+    /**
+     * Label text on the button.
+     * @returns {string}
+     */
+    get text(){return this.config?.text;}
+    /**
+     * Optional. Description of the Web App that will be launched when the user presses the button.
+     * @returns {WebAppInfo}
+     */
+    get web_app(){return this.config?.web_app;}
+    /**
+     * Optional. Deep-linking parameter for the /start message sent to the bot when a user presses the button. 1-64 characters, only `A-Z`, `a-z`, `0-9`, `_` and `-` are allowed.
+     * @returns {string}
+     */
+    get start_parameter(){return this.config?.start_parameter;}
+
+    toJSON(){
+        return filterObject({
+            text: this.text,
+            web_app: this.web_app,
+            start_parameter: this.start_parameter
+        });
+    }
+}
+
+/**
+ * This object represents the content of a message to be sent as a result of an inline query. It can be one of
+- InputTextMessageContent
+- InputLocationMessageContent
+- InputVenueMessageContent
+- InputContactMessageContent
+- InputInvoiceMessageContent
+ */
+class InputMessageContent {
+    /**
+     * @param {object} input_message_content 
+     */
+    constructor(input_message_content){
+        this.input_message_content = input_message_content;
+    }
+
+    toJSON(){
+        return filterObject({ ...this.input_message_content });
+    }
+}
+
+/**
+ * Represents the content of a text message to be sent as the result of an inline query.
+ */
+class InputTextMessageContent extends InputMessageContent {
+    /**
+     * @param {{message_text: string, parse_mode: string, entities: MessageEntity[], link_preview_options: LinkPreviewOptions}} input_message_content 
+     */
+    constructor(input_message_content){
+        super(input_message_content);
+    }
+
+    /**
+     * Text of the message to be sent, 1-4096 characters.
+     * @returns {string}
+     */
+    get message_text(){return this.input_message_content?.message_text;}
+    /**
+     * Optional. Mode for parsing entities in the message text.
+     * @returns {string}
+     */
+    get parse_mode(){return this.input_message_content?.parse_mode;}
+}
+
+/**
+ * Represents the content of a location message to be sent as the result of an inline query.
+ */
+class InputLocationMessageContent extends InputMessageContent {
+    /**
+     * @param {{latitude: number, longitude: number, horizontal_accuracy: number, live_period: number, heading: number, proximity_alert_radius: number}} input_message_content 
+     */
+    constructor(input_message_content){
+        super(input_message_content);
+    }
+
+    /**
+     * Latitude of the location in degrees.
+     * @returns {number}
+     */
+    get latitude(){return this.input_message_content?.latitude;}
+    /**
+     * Longitude of the location in degrees.
+     * @returns {number}
+     */
+    get longitude(){return this.input_message_content?.longitude;}
+}
+
+/**
+ * Represents the content of a venue message to be sent as the result of an inline query.
+ */
+class InputVenueMessageContent extends InputMessageContent {
+    /**
+     * @param {{latitude: number, longitude: number, title: string, address: string, foursquare_id: string, foursquare_type: string, google_place_id: string, google_place_type: string}} input_message_content 
+     */
+    constructor(input_message_content){
+        super(input_message_content);
+    }
+
+    /**
+     * Latitude of the venue in degrees.
+     * @returns {number}
+     */
+    get latitude(){return this.input_message_content?.latitude;}
+    /**
+     * Longitude of the venue in degrees.
+     * @returns {number}
+     */
+    get longitude(){return this.input_message_content?.longitude;}
+    /**
+     * Name of the venue.
+     * @returns {string}
+     */
+    get title(){return this.input_message_content?.title;}
+    /**
+     * Address of the venue.
+     * @returns {string}
+     */
+    get address(){return this.input_message_content?.address;}
+}
+
+/**
+ * Represents the content of a contact message to be sent as the result of an inline query.
+ */
+class InputContactMessageContent extends InputMessageContent {
+    /**
+     * @param {{phone_number: string, first_name: string, last_name: string, vcard: string}} input_message_content 
+     */
+    constructor(input_message_content){
+        super(input_message_content);
+    }
+
+    /**
+     * Contact's phone number.
+     * @returns {string}
+     */
+    get phone_number(){return this.input_message_content?.phone_number;}
+    /**
+     * Contact's first name.
+     * @returns {string}
+     */
+    get first_name(){return this.input_message_content?.first_name;}
+}
+
+/**
+ * Represents the content of an invoice message to be sent as the result of an inline query.
+ */
+class InputInvoiceMessageContent extends InputMessageContent {
+    /**
+     * @param {{title: string, description: string, payload: string, provider_token: string, currency: string, prices: LabeledPrice[], max_tip_amount: number, suggested_tip_amounts: number[], provider_data: string, photo_url: string, photo_size: number, photo_width: number, photo_height: number, need_name: boolean, need_phone_number: boolean, need_email: boolean, need_shipping_address: boolean, send_phone_number_to_provider: boolean, send_email_to_provider: boolean, is_flexible: boolean}} input_message_content 
+     */
+    constructor(input_message_content){
+        super(input_message_content);
+    }
+
+    /**
+     * Product name, 1-32 characters.
+     * @returns {string}
+     */
+    get title(){return this.input_message_content?.title;}
+    /**
+     * Bot-defined invoice payload, 1-128 bytes. This will not be displayed to the user, use it for your internal processes.
+     * @returns {string}
+     */
+    get payload(){return this.input_message_content?.payload;}
+    /**
+     * Three-letter ISO 4217 currency code, or “XTR” for payments in Telegram Stars.
+     * @returns {string}
+     */
+    get currency(){return this.input_message_content?.currency;}
+}
+
+/**
+ * This object represents one result of an inline query. Use one of its subclasses (e.g. `InlineQueryResultArticle`) to build a result.
+ */
+class InlineQueryResult {
+    /**
+     * @param {string} type 
+     * @param {object} inline_query_result 
+     */
+    constructor(type, inline_query_result){
+        this.inline_query_result = { type, ...inline_query_result };
+    }
+
+    /**
+     * Type of the result.
+     * @returns {string}
+     */
+    get type(){return this.inline_query_result.type;}
+    /**
+     * Unique identifier for this result, 1-64 bytes.
+     * @returns {string}
+     */
+    get id(){return this.inline_query_result.id;}
+    /**
+     * Optional. Inline keyboard attached to the message.
+     * @returns {InlineKeyboardMarkup}
+     */
+    get reply_markup(){return this.inline_query_result.reply_markup;}
+    /**
+     * Optional. Content of the message to be sent instead of the default one.
+     * @returns {InputMessageContent}
+     */
+    get input_message_content(){return this.inline_query_result.input_message_content;}
+
+    toJSON(){
+        return filterObject({ ...this.inline_query_result });
+    }
+}
+
+/**
+ * Represents a link to an article or web page.
+ */
+class InlineQueryResultArticle extends InlineQueryResult {
+    /**
+     * @param {{id: string, title: string, input_message_content: InputMessageContent, reply_markup: InlineKeyboardMarkup, url: string, description: string, thumbnail_url: string, thumbnail_width: number, thumbnail_height: number}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("article", inline_query_result);
+    }
+
+    /**
+     * Title of the result.
+     * @returns {string}
+     */
+    get title(){return this.inline_query_result.title;}
+}
+
+/**
+ * Represents a link to a photo. By default, this photo will be sent by the user with optional caption. Alternatively, you can use `input_message_content` to send a message with the specified content instead of the photo.
+ */
+class InlineQueryResultPhoto extends InlineQueryResult {
+    /**
+     * @param {{id: string, photo_url: string, thumbnail_url: string, photo_width: number, photo_height: number, title: string, description: string, caption: string, parse_mode: string, caption_entities: MessageEntity[], show_caption_above_media: boolean, reply_markup: InlineKeyboardMarkup, input_message_content: InputMessageContent}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("photo", inline_query_result);
+    }
+
+    /**
+     * A valid URL of the photo. Photo must be in JPEG format. Photo size must not exceed 5MB.
+     * @returns {string}
+     */
+    get photo_url(){return this.inline_query_result.photo_url;}
+    /**
+     * URL of the thumbnail for the photo.
+     * @returns {string}
+     */
+    get thumbnail_url(){return this.inline_query_result.thumbnail_url;}
+}
+
+/**
+ * Represents a link to an animated GIF file. By default, this animated GIF file will be sent by the user with optional caption. Alternatively, you can use `input_message_content` to send a message with the specified content instead of the animation.
+ */
+class InlineQueryResultGif extends InlineQueryResult {
+    /**
+     * @param {{id: string, gif_url: string, gif_width: number, gif_height: number, gif_duration: number, thumbnail_url: string, thumbnail_mime_type: string, title: string, caption: string, parse_mode: string, caption_entities: MessageEntity[], show_caption_above_media: boolean, reply_markup: InlineKeyboardMarkup, input_message_content: InputMessageContent}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("gif", inline_query_result);
+    }
+
+    /**
+     * A valid URL for the GIF file.
+     * @returns {string}
+     */
+    get gif_url(){return this.inline_query_result.gif_url;}
+    /**
+     * URL of the static (JPEG or GIF) or animated (MPEG4) thumbnail for the result.
+     * @returns {string}
+     */
+    get thumbnail_url(){return this.inline_query_result.thumbnail_url;}
+}
+
+/**
+ * Represents a link to a video animation (H.264/MPEG-4 AVC video without sound). By default, this animated MPEG-4 file will be sent by the user with optional caption. Alternatively, you can use `input_message_content` to send a message with the specified content instead of the animation.
+ */
+class InlineQueryResultMpeg4Gif extends InlineQueryResult {
+    /**
+     * @param {{id: string, mpeg4_url: string, mpeg4_width: number, mpeg4_height: number, mpeg4_duration: number, thumbnail_url: string, thumbnail_mime_type: string, title: string, caption: string, parse_mode: string, caption_entities: MessageEntity[], show_caption_above_media: boolean, reply_markup: InlineKeyboardMarkup, input_message_content: InputMessageContent}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("mpeg4_gif", inline_query_result);
+    }
+
+    /**
+     * A valid URL for the MPEG4 file.
+     * @returns {string}
+     */
+    get mpeg4_url(){return this.inline_query_result.mpeg4_url;}
+    /**
+     * URL of the static (JPEG or GIF) or animated (MPEG4) thumbnail for the result.
+     * @returns {string}
+     */
+    get thumbnail_url(){return this.inline_query_result.thumbnail_url;}
+}
+
+/**
+ * Represents a link to a page containing an embedded video player or a video file. By default, this video file will be sent by the user with an optional caption. Alternatively, you can use `input_message_content` to send a message with the specified content instead of the video.
+ */
+class InlineQueryResultVideo extends InlineQueryResult {
+    /**
+     * @param {{id: string, video_url: string, mime_type: "text/html"|"video/mp4", thumbnail_url: string, title: string, caption: string, parse_mode: string, caption_entities: MessageEntity[], show_caption_above_media: boolean, video_width: number, video_height: number, video_duration: number, description: string, reply_markup: InlineKeyboardMarkup, input_message_content: InputMessageContent}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("video", inline_query_result);
+    }
+
+    /**
+     * A valid URL for the embedded video player or video file.
+     * @returns {string}
+     */
+    get video_url(){return this.inline_query_result.video_url;}
+    /**
+     * MIME type of the content of the video URL, “text/html” or “video/mp4”.
+     * @returns {string}
+     */
+    get mime_type(){return this.inline_query_result.mime_type;}
+    /**
+     * URL of the thumbnail (JPEG only) for the video.
+     * @returns {string}
+     */
+    get thumbnail_url(){return this.inline_query_result.thumbnail_url;}
+    /**
+     * Title for the result.
+     * @returns {string}
+     */
+    get title(){return this.inline_query_result.title;}
+}
+
+/**
+ * Represents a link to an MP3 audio file. By default, this audio file will be sent by the user. Alternatively, you can use `input_message_content` to send a message with the specified content instead of the audio.
+ */
+class InlineQueryResultAudio extends InlineQueryResult {
+    /**
+     * @param {{id: string, audio_url: string, title: string, caption: string, parse_mode: string, caption_entities: MessageEntity[], performer: string, audio_duration: number, reply_markup: InlineKeyboardMarkup, input_message_content: InputMessageContent}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("audio", inline_query_result);
+    }
+
+    /**
+     * A valid URL for the audio file.
+     * @returns {string}
+     */
+    get audio_url(){return this.inline_query_result.audio_url;}
+    /**
+     * Title.
+     * @returns {string}
+     */
+    get title(){return this.inline_query_result.title;}
+}
+
+/**
+ * Represents a link to a voice recording in an .OGG container encoded with OPUS. By default, this voice recording will be sent by the user. Alternatively, you can use `input_message_content` to send a message with the specified content instead of the voice message.
+ */
+class InlineQueryResultVoice extends InlineQueryResult {
+    /**
+     * @param {{id: string, voice_url: string, title: string, caption: string, parse_mode: string, caption_entities: MessageEntity[], voice_duration: number, reply_markup: InlineKeyboardMarkup, input_message_content: InputMessageContent}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("voice", inline_query_result);
+    }
+
+    /**
+     * A valid URL for the voice recording.
+     * @returns {string}
+     */
+    get voice_url(){return this.inline_query_result.voice_url;}
+    /**
+     * Recording title.
+     * @returns {string}
+     */
+    get title(){return this.inline_query_result.title;}
+}
+
+/**
+ * Represents a link to a file. By default, this file will be sent by the user with an optional caption. Alternatively, you can use `input_message_content` to send a message with the specified content instead of the file. Currently, only .PDF and .ZIP files can be sent using this method.
+ */
+class InlineQueryResultDocument extends InlineQueryResult {
+    /**
+     * @param {{id: string, title: string, caption: string, parse_mode: string, caption_entities: MessageEntity[], document_url: string, mime_type: "application/pdf"|"application/zip", description: string, reply_markup: InlineKeyboardMarkup, input_message_content: InputMessageContent, thumbnail_url: string, thumbnail_width: number, thumbnail_height: number}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("document", inline_query_result);
+    }
+
+    /**
+     * Title for the result.
+     * @returns {string}
+     */
+    get title(){return this.inline_query_result.title;}
+    /**
+     * A valid URL for the file.
+     * @returns {string}
+     */
+    get document_url(){return this.inline_query_result.document_url;}
+    /**
+     * MIME type of the content of the file, either “application/pdf” or “application/zip”.
+     * @returns {string}
+     */
+    get mime_type(){return this.inline_query_result.mime_type;}
+}
+
+/**
+ * Represents a location on a map. By default, the location will be sent by the user. Alternatively, you can use `input_message_content` to send a message with the specified content instead of the location.
+ */
+class InlineQueryResultLocation extends InlineQueryResult {
+    /**
+     * @param {{id: string, latitude: number, longitude: number, title: string, horizontal_accuracy: number, live_period: number, heading: number, proximity_alert_radius: number, reply_markup: InlineKeyboardMarkup, input_message_content: InputMessageContent, thumbnail_url: string, thumbnail_width: number, thumbnail_height: number}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("location", inline_query_result);
+    }
+
+    /**
+     * Location latitude in degrees.
+     * @returns {number}
+     */
+    get latitude(){return this.inline_query_result.latitude;}
+    /**
+     * Location longitude in degrees.
+     * @returns {number}
+     */
+    get longitude(){return this.inline_query_result.longitude;}
+    /**
+     * Location title.
+     * @returns {string}
+     */
+    get title(){return this.inline_query_result.title;}
+}
+
+/**
+ * Represents a venue. By default, the venue will be sent by the user. Alternatively, you can use `input_message_content` to send a message with the specified content instead of the venue.
+ */
+class InlineQueryResultVenue extends InlineQueryResult {
+    /**
+     * @param {{id: string, latitude: number, longitude: number, title: string, address: string, foursquare_id: string, foursquare_type: string, google_place_id: string, google_place_type: string, reply_markup: InlineKeyboardMarkup, input_message_content: InputMessageContent, thumbnail_url: string, thumbnail_width: number, thumbnail_height: number}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("venue", inline_query_result);
+    }
+
+    /**
+     * Latitude of the venue location in degrees.
+     * @returns {number}
+     */
+    get latitude(){return this.inline_query_result.latitude;}
+    /**
+     * Longitude of the venue location in degrees.
+     * @returns {number}
+     */
+    get longitude(){return this.inline_query_result.longitude;}
+    /**
+     * Title of the venue.
+     * @returns {string}
+     */
+    get title(){return this.inline_query_result.title;}
+    /**
+     * Address of the venue.
+     * @returns {string}
+     */
+    get address(){return this.inline_query_result.address;}
+}
+
+/**
+ * Represents a contact with a phone number. By default, this contact will be sent by the user. Alternatively, you can use `input_message_content` to send a message with the specified content instead of the contact.
+ */
+class InlineQueryResultContact extends InlineQueryResult {
+    /**
+     * @param {{id: string, phone_number: string, first_name: string, last_name: string, vcard: string, reply_markup: InlineKeyboardMarkup, input_message_content: InputMessageContent, thumbnail_url: string, thumbnail_width: number, thumbnail_height: number}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("contact", inline_query_result);
+    }
+
+    /**
+     * Contact's phone number.
+     * @returns {string}
+     */
+    get phone_number(){return this.inline_query_result.phone_number;}
+    /**
+     * Contact's first name.
+     * @returns {string}
+     */
+    get first_name(){return this.inline_query_result.first_name;}
+}
+
+/**
+ * Represents a Game.
+ */
+class InlineQueryResultGame extends InlineQueryResult {
+    /**
+     * @param {{id: string, game_short_name: string, reply_markup: InlineKeyboardMarkup}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("game", inline_query_result);
+    }
+
+    /**
+     * Short name of the game.
+     * @returns {string}
+     */
+    get game_short_name(){return this.inline_query_result.game_short_name;}
+}
+
+/**
+ * Represents a link to a photo stored on the Telegram servers. By default, this photo will be sent by the user with an optional caption. Alternatively, you can use `input_message_content` to send a message with the specified content instead of the photo.
+ */
+class InlineQueryResultCachedPhoto extends InlineQueryResult {
+    /**
+     * @param {{id: string, photo_file_id: string, title: string, description: string, caption: string, parse_mode: string, caption_entities: MessageEntity[], show_caption_above_media: boolean, reply_markup: InlineKeyboardMarkup, input_message_content: InputMessageContent}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("photo", inline_query_result);
+    }
+
+    /**
+     * A valid file identifier of the photo.
+     * @returns {string}
+     */
+    get photo_file_id(){return this.inline_query_result.photo_file_id;}
+}
+
+/**
+ * Represents a link to an animated GIF file stored on the Telegram servers. By default, this animated GIF file will be sent by the user with an optional caption. Alternatively, you can use `input_message_content` to send a message with specified content instead of the animation.
+ */
+class InlineQueryResultCachedGif extends InlineQueryResult {
+    /**
+     * @param {{id: string, gif_file_id: string, title: string, caption: string, parse_mode: string, caption_entities: MessageEntity[], show_caption_above_media: boolean, reply_markup: InlineKeyboardMarkup, input_message_content: InputMessageContent}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("gif", inline_query_result);
+    }
+
+    /**
+     * A valid file identifier for the GIF file.
+     * @returns {string}
+     */
+    get gif_file_id(){return this.inline_query_result.gif_file_id;}
+}
+
+/**
+ * Represents a link to a video animation (H.264/MPEG-4 AVC video without sound) stored on the Telegram servers. By default, this animated MPEG-4 file will be sent by the user with an optional caption. Alternatively, you can use `input_message_content` to send a message with the specified content instead of the animation.
+ */
+class InlineQueryResultCachedMpeg4Gif extends InlineQueryResult {
+    /**
+     * @param {{id: string, mpeg4_file_id: string, title: string, caption: string, parse_mode: string, caption_entities: MessageEntity[], show_caption_above_media: boolean, reply_markup: InlineKeyboardMarkup, input_message_content: InputMessageContent}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("mpeg4_gif", inline_query_result);
+    }
+
+    /**
+     * A valid file identifier for the MPEG4 file.
+     * @returns {string}
+     */
+    get mpeg4_file_id(){return this.inline_query_result.mpeg4_file_id;}
+}
+
+/**
+ * Represents a link to a sticker stored on the Telegram servers. By default, this sticker will be sent by the user. Alternatively, you can use `input_message_content` to send a message with the specified content instead of the sticker.
+ */
+class InlineQueryResultCachedSticker extends InlineQueryResult {
+    /**
+     * @param {{id: string, sticker_file_id: string, reply_markup: InlineKeyboardMarkup, input_message_content: InputMessageContent}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("sticker", inline_query_result);
+    }
+
+    /**
+     * A valid file identifier of the sticker.
+     * @returns {string}
+     */
+    get sticker_file_id(){return this.inline_query_result.sticker_file_id;}
+}
+
+/**
+ * Represents a link to a file stored on the Telegram servers. By default, this file will be sent by the user with an optional caption. Alternatively, you can use `input_message_content` to send a message with the specified content instead of the file.
+ */
+class InlineQueryResultCachedDocument extends InlineQueryResult {
+    /**
+     * @param {{id: string, title: string, document_file_id: string, description: string, caption: string, parse_mode: string, caption_entities: MessageEntity[], reply_markup: InlineKeyboardMarkup, input_message_content: InputMessageContent}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("document", inline_query_result);
+    }
+
+    /**
+     * Title for the result.
+     * @returns {string}
+     */
+    get title(){return this.inline_query_result.title;}
+    /**
+     * A valid file identifier for the file.
+     * @returns {string}
+     */
+    get document_file_id(){return this.inline_query_result.document_file_id;}
+}
+
+/**
+ * Represents a link to a video file stored on the Telegram servers. By default, this video file will be sent by the user with an optional caption. Alternatively, you can use `input_message_content` to send a message with the specified content instead of the video.
+ */
+class InlineQueryResultCachedVideo extends InlineQueryResult {
+    /**
+     * @param {{id: string, video_file_id: string, title: string, description: string, caption: string, parse_mode: string, caption_entities: MessageEntity[], show_caption_above_media: boolean, reply_markup: InlineKeyboardMarkup, input_message_content: InputMessageContent}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("video", inline_query_result);
+    }
+
+    /**
+     * A valid file identifier for the video file.
+     * @returns {string}
+     */
+    get video_file_id(){return this.inline_query_result.video_file_id;}
+    /**
+     * Title for the result.
+     * @returns {string}
+     */
+    get title(){return this.inline_query_result.title;}
+}
+
+/**
+ * Represents a link to a voice message stored on the Telegram servers. By default, this voice message will be sent by the user. Alternatively, you can use `input_message_content` to send a message with the specified content instead of the voice message.
+ */
+class InlineQueryResultCachedVoice extends InlineQueryResult {
+    /**
+     * @param {{id: string, voice_file_id: string, title: string, caption: string, parse_mode: string, caption_entities: MessageEntity[], reply_markup: InlineKeyboardMarkup, input_message_content: InputMessageContent}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("voice", inline_query_result);
+    }
+
+    /**
+     * A valid file identifier for the voice message.
+     * @returns {string}
+     */
+    get voice_file_id(){return this.inline_query_result.voice_file_id;}
+    /**
+     * Voice message title.
+     * @returns {string}
+     */
+    get title(){return this.inline_query_result.title;}
+}
+
+/**
+ * Represents a link to an MP3 audio file stored on the Telegram servers. By default, this audio file will be sent by the user. Alternatively, you can use `input_message_content` to send a message with the specified content instead of the audio.
+ */
+class InlineQueryResultCachedAudio extends InlineQueryResult {
+    /**
+     * @param {{id: string, audio_file_id: string, caption: string, parse_mode: string, caption_entities: MessageEntity[], reply_markup: InlineKeyboardMarkup, input_message_content: InputMessageContent}} inline_query_result 
+     */
+    constructor(inline_query_result){
+        super("audio", inline_query_result);
+    }
+
+    /**
+     * A valid file identifier for the audio file.
+     * @returns {string}
+     */
+    get audio_file_id(){return this.inline_query_result.audio_file_id;}
+}
+
+/**
+ * This object represents a portion of the price for goods or services.
+ */
+class LabeledPrice {
+    /**
+     * @param {{label: string, amount: number}} config 
+     */
+    constructor(config){
+        this.config = config;
+    }
+
+    /**
+     * Portion label.
+     * @returns {string}
+     */
+    get label(){return this.config?.label;}
+    /**
+     * Price of the product in the smallest units of the currency (integer, not float/double). For example, for a price of US$ 1.45 pass amount = 145.
+     * @returns {number}
+     */
+    get amount(){return this.config?.amount;}
+
+    toJSON(){
+        return filterObject({
+            label: this.label,
+            amount: this.amount
+        });
+    }
+}
+
+/**
+ * This object represents a shipping address.
+ */
+class ShippingAddress {
+    constructor(shipping_address) {
+        this.shipping_address = shipping_address;
+    }
+
+    toJSON() {
+        return { ...this };
+    }
+
+    /**
+     * Two-letter ISO 3166-1 alpha-2 country code.
+     * @returns {string}
+     */
+    get country_code(){return this.shipping_address?.country_code};
+
+    /**
+     * State, if applicable.
+     * @returns {string}
+     */
+    get state(){return this.shipping_address?.state};
+
+    /**
+     * City.
+     * @returns {string}
+     */
+    get city(){return this.shipping_address?.city};
+
+    /**
+     * First line for the address.
+     * @returns {string}
+     */
+    get street_line1(){return this.shipping_address?.street_line1};
+
+    /**
+     * Second line for the address.
+     * @returns {string}
+     */
+    get street_line2(){return this.shipping_address?.street_line2};
+
+    /**
+     * Address post code.
+     * @returns {string}
+     */
+    get post_code(){return this.shipping_address?.post_code};
+}
+
+/**
+ * This object represents information about an order.
+ */
+class OrderInfo {
+    constructor(order_info) {
+        this.order_info = order_info;
+    }
+
+    toJSON() {
+        return { ...this };
+    }
+
+    /**
+     * Optional. User name.
+     * @returns {string}
+     */
+    get name(){return this.order_info?.name};
+
+    /**
+     * Optional. User's phone number.
+     * @returns {string}
+     */
+    get phone_number(){return this.order_info?.phone_number};
+
+    /**
+     * Optional. User email.
+     * @returns {string}
+     */
+    get email(){return this.order_info?.email};
+
+    /**
+     * Optional. User shipping address.
+     * @returns {ShippingAddress}
+     */
+    get shipping_address(){return this.order_info?.shipping_address ? new ShippingAddress(this.order_info.shipping_address) : null};
+}
+
+/**
+ * This object represents one shipping option.
+ */
+class ShippingOption {
+    /**
+     * @param {{id: string, title: string, prices: LabeledPrice[]}} config 
+     */
+    constructor(config){
+        this.config = config;
+    }
+
+    /**
+     * Shipping option identifier.
+     * @returns {string}
+     */
+    get id(){return this.config?.id;}
+    /**
+     * Option title.
+     * @returns {string}
+     */
+    get title(){return this.config?.title;}
+    /**
+     * List of price portions.
+     * @returns {LabeledPrice[]}
+     */
+    get prices(){return this.config?.prices;}
+
+    toJSON(){
+        return filterObject({
+            id: this.id,
+            title: this.title,
+            prices: this.prices
+        });
+    }
+}
+
+/**
+ * This object contains information about an incoming shipping query.
+ */
+class ShippingQuery {
+    constructor(shipping_query) {
+        this.shipping_query = shipping_query;
+    }
+
+    toJSON() {
+        return { ...this };
+    }
+
+    /**
+     * Unique query identifier.
+     * @returns {string}
+     */
+    get id(){return this.shipping_query?.id};
+
+    /**
+     * User who sent the query.
+     * @returns {User}
+     */
+    get from(){return this.shipping_query?.from ? new User(this.shipping_query.from) : null};
+
+    /**
+     * Bot-specified invoice payload.
+     * @returns {string}
+     */
+    get invoice_payload(){return this.shipping_query?.invoice_payload};
+
+    /**
+     * User specified shipping address.
+     * @returns {ShippingAddress}
+     */
+    get shipping_address(){return this.shipping_query?.shipping_address ? new ShippingAddress(this.shipping_query.shipping_address) : null};
+
+    /**
+     * If you sent an invoice requesting a shipping address and the parameter is_flexible was specified, the Bot API will send an Update with a shipping_query field to the bot. Use this method to reply to shipping queries. On success, True is returned.
+     * 
+     * Shortcut for `bot.answerShippingQuery()`.
+     * 
+     * @param {{ok: boolean, shipping_options: ShippingOption[], error_message: string}} config 
+     * @returns {Promise<boolean>}
+     */
+    async answer(config){
+        return await Context.bot.answerShippingQuery({shipping_query_id: this.id, ...config});
+    }
+}
+
+/**
+ * This object contains information about an incoming pre-checkout query.
+ */
+class PreCheckoutQuery {
+    constructor(pre_checkout_query) {
+        this.pre_checkout_query = pre_checkout_query;
+    }
+
+    toJSON() {
+        return { ...this };
+    }
+
+    /**
+     * Unique query identifier.
+     * @returns {string}
+     */
+    get id(){return this.pre_checkout_query?.id};
+
+    /**
+     * User who sent the query.
+     * @returns {User}
+     */
+    get from(){return this.pre_checkout_query?.from ? new User(this.pre_checkout_query.from) : null};
+
+    /**
+     * Three-letter ISO 4217 currency code, or “XTR” for payments in Telegram Stars.
+     * @returns {string}
+     */
+    get currency(){return this.pre_checkout_query?.currency};
+
+    /**
+     * Total price in the smallest units of the currency (integer, not float/double). For example, for a price of US$ 1.45 pass amount = 145.
+     * @returns {number}
+     */
+    get total_amount(){return this.pre_checkout_query?.total_amount};
+
+    /**
+     * Bot-specified invoice payload.
+     * @returns {string}
+     */
+    get invoice_payload(){return this.pre_checkout_query?.invoice_payload};
+
+    /**
+     * Optional. Identifier of the shipping option chosen by the user.
+     * @returns {string}
+     */
+    get shipping_option_id(){return this.pre_checkout_query?.shipping_option_id};
+
+    /**
+     * Optional. Order information provided by the user.
+     * @returns {OrderInfo}
+     */
+    get order_info(){return this.pre_checkout_query?.order_info ? new OrderInfo(this.pre_checkout_query.order_info) : null};
+
+    /**
+     * Once the user has confirmed their payment and shipping details, the Bot API sends the final confirmation in the form of an Update with the field pre_checkout_query. Use this method to respond to such pre-checkout queries. On success, True is returned. Note: The Bot API must receive an answer within 10 seconds after the pre-checkout query was sent.
+     * 
+     * Shortcut for `bot.answerPreCheckoutQuery()`.
+     * 
+     * @param {{ok: boolean, error_message: string}} config 
+     * @returns {Promise<boolean>}
+     */
+    async answer(config){
+        return await Context.bot.answerPreCheckoutQuery({pre_checkout_query_id: this.id, ...config});
+    }
+}
+
+/**
+ * This object contains basic information about a successful payment. Note that if the buyer initiates a chargeback with the relevant payment provider following this transaction, the funds may be debited from your balance. This is outside of Telegram's control.
+ */
+class SuccessfulPayment {
+    constructor(successful_payment) {
+        this.successful_payment = successful_payment;
+    }
+
+    toJSON() {
+        return { ...this };
+    }
+
+    /**
+     * Three-letter ISO 4217 currency code, or “XTR” for payments in Telegram Stars.
+     * @returns {string}
+     */
+    get currency(){return this.successful_payment?.currency};
+
+    /**
+     * Total price in the smallest units of the currency (integer, not float/double). For example, for a price of US$ 1.45 pass amount = 145.
+     * @returns {number}
+     */
+    get total_amount(){return this.successful_payment?.total_amount};
+
+    /**
+     * Bot-specified invoice payload.
+     * @returns {string}
+     */
+    get invoice_payload(){return this.successful_payment?.invoice_payload};
+
+    /**
+     * Optional. Expiration date of the subscription, in Unix time; for recurring payments only.
+     * @returns {number}
+     */
+    get subscription_expiration_date(){return this.successful_payment?.subscription_expiration_date};
+
+    /**
+     * Optional. True, if the payment is a recurring payment for a subscription.
+     * @returns {boolean}
+     */
+    get is_recurring(){return this.successful_payment?.is_recurring};
+
+    /**
+     * Optional. True, if the payment is the first payment for a subscription.
+     * @returns {boolean}
+     */
+    get is_first_recurring(){return this.successful_payment?.is_first_recurring};
+
+    /**
+     * Optional. Identifier of the shipping option chosen by the user.
+     * @returns {string}
+     */
+    get shipping_option_id(){return this.successful_payment?.shipping_option_id};
+
+    /**
+     * Optional. Order information provided by the user.
+     * @returns {OrderInfo}
+     */
+    get order_info(){return this.successful_payment?.order_info ? new OrderInfo(this.successful_payment.order_info) : null};
+
+    /**
+     * Telegram payment identifier.
+     * @returns {string}
+     */
+    get telegram_payment_charge_id(){return this.successful_payment?.telegram_payment_charge_id};
+
+    /**
+     * Provider payment identifier.
+     * @returns {string}
+     */
+    get provider_payment_charge_id(){return this.successful_payment?.provider_payment_charge_id};
+}
+
+/**
+ * This object contains basic information about a refunded payment.
+ */
+class RefundedPayment {
+    constructor(refunded_payment) {
+        this.refunded_payment = refunded_payment;
+    }
+
+    toJSON() {
+        return { ...this };
+    }
+
+    /**
+     * Three-letter ISO 4217 currency code, or “XTR” for payments in Telegram Stars. Currently, always “XTR”.
+     * @returns {string}
+     */
+    get currency(){return this.refunded_payment?.currency};
+
+    /**
+     * Total refunded price in the smallest units of the currency (integer, not float/double).
+     * @returns {number}
+     */
+    get total_amount(){return this.refunded_payment?.total_amount};
+
+    /**
+     * Bot-specified invoice payload.
+     * @returns {string}
+     */
+    get invoice_payload(){return this.refunded_payment?.invoice_payload};
+
+    /**
+     * Telegram payment identifier.
+     * @returns {string}
+     */
+    get telegram_payment_charge_id(){return this.refunded_payment?.telegram_payment_charge_id};
+
+    /**
+     * Optional. Provider payment identifier.
+     * @returns {string}
+     */
+    get provider_payment_charge_id(){return this.refunded_payment?.provider_payment_charge_id};
+}
+
+/**
+ * Describes a Telegram Star transaction. Note that if the buyer initiates a chargeback with the payment provider from whom they acquired Stars (e.g., Apple, Google) following this transaction, the refunded Stars will be deducted from the bot's balance.
+ */
+class StarTransaction {
+    constructor(star_transaction) {
+        this.star_transaction = star_transaction;
+    }
+
+    toJSON() {
+        return { ...this };
+    }
+
+    /**
+     * Unique identifier of the transaction. Coincides with the identifier of the original transaction for refund transactions. Coincides with `SuccessfulPayment.telegram_payment_charge_id` for successful incoming payments from users.
+     * @returns {string}
+     */
+    get id(){return this.star_transaction?.id};
+
+    /**
+     * Integer amount of Telegram Stars transferred by the transaction.
+     * @returns {number}
+     */
+    get amount(){return this.star_transaction?.amount};
+
+    /**
+     * Optional. The number of 1/1000000000 shares of Telegram Stars transferred by the transaction; from 0 to 999999999.
+     * @returns {number}
+     */
+    get nanostar_amount(){return this.star_transaction?.nanostar_amount};
+
+    /**
+     * Date the transaction was created in Unix time.
+     * @returns {number}
+     */
+    get date(){return this.star_transaction?.date};
+
+    /**
+     * Optional. Source of an incoming transaction (e.g., a user purchasing goods or services, Fragment refunding a failed withdrawal). Only for incoming transactions.
+     * @returns {Object}
+     */
+    get source(){return this.star_transaction?.source};
+
+    /**
+     * Optional. Receiver of an outgoing transaction (e.g., a user for a purchase refund, Fragment for a withdrawal). Only for outgoing transactions.
+     * @returns {Object}
+     */
+    get receiver(){return this.star_transaction?.receiver};
+}
+
+/**
+ * Contains a list of Telegram Star transactions.
+ */
+class StarTransactions {
+    constructor(star_transactions) {
+        this.star_transactions = star_transactions;
+    }
+
+    toJSON() {
+        return { ...this };
+    }
+
+    /**
+     * The list of transactions.
+     * @returns {StarTransaction[]}
+     */
+    get transactions(){return this.star_transactions?.transactions?.map(transaction => new StarTransaction(transaction)) ?? []};
+}
+
+/**
+ * This object represents an answer of a user in a non-anonymous poll.
+ */
+class PollAnswer {
+    constructor(poll_answer) {
+        this.poll_answer = poll_answer;
+    }
+
+    toJSON() {
+        return { ...this };
+    }
+
+    /**
+     * Unique poll identifier.
+     * @returns {string}
+     */
+    get poll_id(){return this.poll_answer?.poll_id};
+
+    /**
+     * Optional. The chat that changed the answer to the poll, if the voter is anonymous.
+     * @returns {Chat}
+     */
+    get voter_chat(){return this.poll_answer?.voter_chat ? new Chat(this.poll_answer.voter_chat) : null};
+
+    /**
+     * Optional. The user that changed the answer to the poll, if the voter isn't anonymous.
+     * @returns {User}
+     */
+    get user(){return this.poll_answer?.user ? new User(this.poll_answer.user) : null};
+
+    /**
+     * 0-based identifiers of chosen answer options. May be empty if the vote was retracted.
+     * @returns {number[]}
+     */
+    get option_ids(){return this.poll_answer?.option_ids ?? []};
+}
+
+/**
+ * This object contains information about one answer option in a poll to be sent.
+ */
+class InputPollOption {
+    /**
+     * @param {{text: string, text_parse_mode: string, text_entities: MessageEntity[]}} config 
+     */
+    constructor(config){
+        this.config = config;
+    }
+
+    /**
+     * Option text, 1-100 characters.
+     * @returns {string}
+     */
+    get text(){return this.config?.text;}
+    /**
+     * Optional. Mode for parsing entities in the text. Currently, only custom emoji entities are allowed.
+     * @returns {string}
+     */
+    get text_parse_mode(){return this.config?.text_parse_mode;}
+    /**
+     * Optional. A JSON-serialized list of special entities that appear in the poll option text. It can be specified instead of text_parse_mode.
+     * @returns {MessageEntity[]}
+     */
+    get text_entities(){return this.config?.text_entities;}
+
+    toJSON(){
+        return filterObject({
+            text: this.text,
+            text_parse_mode: this.text_parse_mode,
+            text_entities: this.text_entities
+        });
+    }
+}
+
+/**
+ * Represents a reaction added to a message along with the number of times it was added.
+ */
+class ReactionCount {
+    constructor(reaction_count) {
+        this.reaction_count = reaction_count;
+    }
+
+    toJSON() {
+        return { ...this };
+    }
+
+    /**
+     * Type of the reaction.
+     * @returns {ReactionType}
+     */
+    get type(){return this.reaction_count?.type ? new ReactionType(this.reaction_count.type) : null};
+
+    /**
+     * Number of times the reaction was added.
+     * @returns {number}
+     */
+    get total_count(){return this.reaction_count?.total_count};
+}
+
+/**
+ * This object represents a change of a reaction on a message performed by a user.
+ */
+class MessageReactionUpdated {
+    constructor(message_reaction_updated) {
+        this.message_reaction_updated = message_reaction_updated;
+    }
+
+    toJSON() {
+        return { ...this };
+    }
+
+    /**
+     * The chat containing the message the user reacted to.
+     * @returns {Chat}
+     */
+    get chat(){return this.message_reaction_updated?.chat ? new Chat(this.message_reaction_updated.chat) : null};
+
+    /**
+     * Unique identifier of the message inside the chat.
+     * @returns {number}
+     */
+    get message_id(){return this.message_reaction_updated?.message_id};
+
+    /**
+     * Optional. The user that changed the reaction, if the user isn't anonymous.
+     * @returns {User}
+     */
+    get user(){return this.message_reaction_updated?.user ? new User(this.message_reaction_updated.user) : null};
+
+    /**
+     * Optional. The chat on behalf of which the reaction was changed, if the user is anonymous.
+     * @returns {Chat}
+     */
+    get actor_chat(){return this.message_reaction_updated?.actor_chat ? new Chat(this.message_reaction_updated.actor_chat) : null};
+
+    /**
+     * Date of the change in Unix time.
+     * @returns {number}
+     */
+    get date(){return this.message_reaction_updated?.date};
+
+    /**
+     * Previous list of reaction types that were set by the user.
+     * @returns {ReactionType[]}
+     */
+    get old_reaction(){return this.message_reaction_updated?.old_reaction?.map(reaction => new ReactionType(reaction)) ?? []};
+
+    /**
+     * New list of reaction types that have been set by the user.
+     * @returns {ReactionType[]}
+     */
+    get new_reaction(){return this.message_reaction_updated?.new_reaction?.map(reaction => new ReactionType(reaction)) ?? []};
+
+    /**
+     * The reactions that are in `new_reaction` but not in `old_reaction`.
+     * @returns {ReactionType[]}
+     */
+    get added(){
+        const old = this.old_reaction.map(reactionKey);
+        return this.new_reaction.filter(reaction => !old.includes(reactionKey(reaction)));
+    }
+
+    /**
+     * The reactions that are in `old_reaction` but not in `new_reaction`.
+     * @returns {ReactionType[]}
+     */
+    get removed(){
+        const current = this.new_reaction.map(reactionKey);
+        return this.old_reaction.filter(reaction => !current.includes(reactionKey(reaction)));
+    }
+}
+
+/**
+ * This object represents reaction changes on a message with anonymous reactions.
+ */
+class MessageReactionCountUpdated {
+    constructor(message_reaction_count_updated) {
+        this.message_reaction_count_updated = message_reaction_count_updated;
+    }
+
+    toJSON() {
+        return { ...this };
+    }
+
+    /**
+     * The chat containing the message.
+     * @returns {Chat}
+     */
+    get chat(){return this.message_reaction_count_updated?.chat ? new Chat(this.message_reaction_count_updated.chat) : null};
+
+    /**
+     * Unique message identifier inside the chat.
+     * @returns {number}
+     */
+    get message_id(){return this.message_reaction_count_updated?.message_id};
+
+    /**
+     * Date of the change in Unix time.
+     * @returns {number}
+     */
+    get date(){return this.message_reaction_count_updated?.date};
+
+    /**
+     * List of reactions that are present on the message.
+     * @returns {ReactionCount[]}
+     */
+    get reactions(){return this.message_reaction_count_updated?.reactions?.map(reaction => new ReactionCount(reaction)) ?? []};
+}
+
+/**
+ * Describes the connection of the bot with a business account.
+ */
+class BusinessConnection {
+    constructor(business_connection) {
+        this.business_connection = business_connection;
+    }
+
+    toJSON() {
+        return { ...this };
+    }
+
+    /**
+     * Unique identifier of the business connection.
+     * @returns {string}
+     */
+    get id(){return this.business_connection?.id};
+
+    /**
+     * Business account user that created the business connection.
+     * @returns {User}
+     */
+    get user(){return this.business_connection?.user ? new User(this.business_connection.user) : null};
+
+    /**
+     * Identifier of a private chat with the user who created the business connection.
+     * @returns {number}
+     */
+    get user_chat_id(){return this.business_connection?.user_chat_id};
+
+    /**
+     * Date the connection was established in Unix time.
+     * @returns {number}
+     */
+    get date(){return this.business_connection?.date};
+
+    /**
+     * Optional. Rights of the business bot.
+     * @returns {Object}
+     */
+    get rights(){return this.business_connection?.rights};
+
+    /**
+     * True, if the connection is active.
+     * @returns {boolean}
+     */
+    get is_enabled(){return this.business_connection?.is_enabled};
+}
+
+/**
+ * This object is received when messages are deleted from a connected business account.
+ */
+class BusinessMessagesDeleted {
+    constructor(business_messages_deleted) {
+        this.business_messages_deleted = business_messages_deleted;
+    }
+
+    toJSON() {
+        return { ...this };
+    }
+
+    /**
+     * Unique identifier of the business connection.
+     * @returns {string}
+     */
+    get business_connection_id(){return this.business_messages_deleted?.business_connection_id};
+
+    /**
+     * Information about a chat in the business account. The bot may not have access to the chat or the corresponding user.
+     * @returns {Chat}
+     */
+    get chat(){return this.business_messages_deleted?.chat ? new Chat(this.business_messages_deleted.chat) : null};
+
+    /**
+     * The list of identifiers of deleted messages in the chat of the business account.
+     * @returns {number[]}
+     */
+    get message_ids(){return this.business_messages_deleted?.message_ids ?? []};
+}
+
 export {
     _File,
     Animation,
@@ -5934,8 +7587,10 @@ export {
     BackgroundTypePattern,
     BackgroundTypeWallpaper,
     Birthdate,
+    BusinessConnection,
     BusinessIntro,
     BusinessLocation,
+    BusinessMessagesDeleted,
     BusinessOpeningHours,
     BusinessOpeningHoursInterval,
     CallbackQuery,
@@ -5963,6 +7618,7 @@ export {
     ChecklistTask,
     ChecklistTasksAdded,
     ChecklistTasksDone,
+    ChosenInlineResult,
     Dice,
     Document,
     ExternalReplyInfo,
@@ -5981,15 +7637,46 @@ export {
     InaccessibleMessage,
     InlineKeyboardButton,
     InlineKeyboardMarkup,
+    InlineQuery,
+    InlineQueryResult,
+    InlineQueryResultArticle,
+    InlineQueryResultAudio,
+    InlineQueryResultCachedAudio,
+    InlineQueryResultCachedDocument,
+    InlineQueryResultCachedGif,
+    InlineQueryResultCachedMpeg4Gif,
+    InlineQueryResultCachedPhoto,
+    InlineQueryResultCachedSticker,
+    InlineQueryResultCachedVideo,
+    InlineQueryResultCachedVoice,
+    InlineQueryResultContact,
+    InlineQueryResultDocument,
+    InlineQueryResultGame,
+    InlineQueryResultGif,
+    InlineQueryResultLocation,
+    InlineQueryResultMpeg4Gif,
+    InlineQueryResultPhoto,
+    InlineQueryResultVenue,
+    InlineQueryResultVideo,
+    InlineQueryResultVoice,
+    InlineQueryResultsButton,
     InputChecklist,
     InputChecklistTask,
+    InputContactMessageContent,
     InputFile,
+    InputInvoiceMessageContent,
+    InputLocationMessageContent,
     InputMediaAnimation,
     InputMediaAudio,
     InputMediaDocument,
     InputMediaPhoto,
     InputMediaVideo,
+    InputMessageContent,
+    InputPollOption,
+    InputTextMessageContent,
+    InputVenueMessageContent,
     Invoice,
+    LabeledPrice,
     LinkPreviewOptions,
     Location,
     MaybeInaccessibleMessage,
@@ -6002,6 +7689,9 @@ export {
     MessageOriginChat,
     MessageOriginHiddenUser,
     MessageOriginUser,
+    MessageReactionCountUpdated,
+    MessageReactionUpdated,
+    OrderInfo,
     PaidMedia,
     PaidMediaInfo,
     PaidMediaPhoto,
@@ -6009,15 +7699,25 @@ export {
     PaidMediaVideo,
     PhotoSize,
     Poll,
+    PollAnswer,
     PollOption,
+    PreCheckoutQuery,
+    ReactionCount,
     ReactionType,
     ReactionTypeCustomEmoji,
     ReactionTypeEmoji,
     ReactionTypePaid,
+    RefundedPayment,
     ReplyParameters,
     SharedUser,
+    ShippingAddress,
+    ShippingOption,
+    ShippingQuery,
+    StarTransaction,
+    StarTransactions,
     Sticker,
     Story,
+    SuccessfulPayment,
     TextQuote,
     UniqueGiftColors,
     User,
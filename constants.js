@@ -21,7 +21,11 @@ class UpdateType {
     static BUSINESS_CONNECTION = "business_connection";
     static BUSINESS_MESSAGE = "business_message";
     static EDITED_BUSINESS_MESSAGE = "edited_business_message";
-    static DELETED_BUSINESS_MESSAGE = "deleted_business_message";
+    static DELETED_BUSINESS_MESSAGES = "deleted_business_messages";
+    /**
+     * @deprecated Use `DELETED_BUSINESS_MESSAGES`.
+     */
+    static DELETED_BUSINESS_MESSAGE = "deleted_business_messages";
     static MESSAGE_REACTION = "message_reaction";
     static MESSAGE_REACTION_COUNT = "message_reaction_count";
     static INLINE_QUERY = "inline_query";
@@ -31,12 +35,13 @@ class UpdateType {
     static PRE_CHECKOUT_QUERY = "pre_checkout_query";
     static PURCHASED_PAID_MEDIA = "purchased_paid_media";
     static POLL = "poll";
+    static POLL_ANSWER = "poll_answer";
     static MY_CHAT_MEMBER = "my_chat_member";
     static CHAT_MEMBER = "chat_member";
     static CHAT_JOIN_REQUEST = "chat_join_request";
     static CHAT_BOOST = "chat_boost";
     static REMOVED_CHAT_BOOST = "removed_chat_boost";
-    static ALL = Object.values(UpdateType).filter(value => typeof value === "string");
+    static ALL = [...new Set(Object.values(UpdateType).filter(value => typeof value === "string"))];
 };
 
 /**
@@ -136,77 +141,481 @@ const ParseMode = {
     MarkdownV2: "MarkdownV2"
 };
 
+/**
+ * A condition on an update. Filters can be combined with `and()`, `or()`, `xor()` and `not()`.
+ * 
+ * For example:
+ * 
+ * ```
+ * // Text messages that are not commands, sent in a supergroup.
+ * Filters.TEXT.and(Filters.COMMAND.not()).and(Filters.chatType("supergroup"));
+ * ```
+ * 
+ * The flags of `Filters` (e.g. `Filters.TEXT`) can also be combined with `|`, which matches messages with any of the flags.
+ */
+class Filter {
+    /**
+     * @param {(update: Update) => boolean|Promise<boolean>} predicate 
+     * @param {number|null} mask The message flags matched by the filter, if it is one of the flags of `Filters`. `null` for other filters.
+     */
+    constructor(predicate, mask = null) {
+        this.predicate = predicate;
+        this.mask = mask;
+    }
+
+    /**
+     * Check if an update passes the filter.
+     * @param {Update} update 
+     * @returns {Promise<boolean>}
+     */
+    async check(update) {
+        return Boolean(await this.predicate(update));
+    }
+
+    /**
+     * @param {Filter|number|function} filter 
+     * @returns {Filter} A filter passing updates that pass both filters.
+     */
+    and(filter) {
+        const other = Filter.from(filter);
+        return new Filter(async update => await this.check(update) && await other.check(update));
+    }
+
+    /**
+     * @param {Filter|number|function} filter 
+     * @returns {Filter} A filter passing updates that pass either filter.
+     */
+    or(filter) {
+        const other = Filter.from(filter);
+        return new Filter(async update => await this.check(update) || await other.check(update));
+    }
+
+    /**
+     * @param {Filter|number|function} filter 
+     * @returns {Filter} A filter passing updates that pass exactly one of the filters.
+     */
+    xor(filter) {
+        const other = Filter.from(filter);
+        return new Filter(async update => (await this.check(update)) !== (await other.check(update)));
+    }
+
+    /**
+     * @returns {Filter} A filter passing updates that don't pass this filter.
+     */
+    not() {
+        return new Filter(async update => !(await this.check(update)));
+    }
+
+    /**
+     * Let the flags of `Filters` be combined with bitwise operators, e.g. `Filters.PHOTO | Filters.VIDEO`.
+     * @returns {number}
+     */
+    valueOf() {
+        if (this.mask === null) {
+            throw new TypeError("Only the flags of Filters can be combined with | and &. Use .and(), .or() and .not() to combine other filters.");
+        }
+        return this.mask;
+    }
+
+    /**
+     * Turn a `Filter`, a function or a bitmask of `Filters` flags into a `Filter`.
+     * @param {Filter|number|(update: Update) => boolean} filter 
+     * @returns {Filter}
+     */
+    static from(filter) {
+        if (filter instanceof Filter) {
+            return filter;
+        }
+
+        if (typeof filter === "function") {
+            return new Filter(filter);
+        }
+
+        if (typeof filter === "number") {
+            return Filter.flags(filter);
+        }
+
+        throw new Error("A filter must be a Filter, a function or a number.");
+    }
+
+    /**
+     * @param {number} mask 
+     * @returns {Filter} A filter passing messages with any of the flags in `mask`.
+     */
+    static flags(mask) {
+        return new Filter(update => {
+            const message = update.effective_message;
+            return !!message && (messageFlags(message) & mask) !== 0;
+        }, mask);
+    }
+}
+
+/**
+ * Get the `Filters` flags of a message.
+ * @param {Message} message 
+ * @returns {number}
+ */
+function messageFlags(message) {
+    let flags = 0;
+
+    if (message.text){
+        flags |= Filters.TEXT;
+        if (message.text.startsWith("/")){
+            flags |= Filters.COMMAND;
+        }
+    }
+
+    if (message.photo || message.video || message.document || message.media_group_id) {
+        flags |= Filters.MEDIA;
+    }
+
+    if (message.photo){
+        flags |= Filters.PHOTO;
+    }
+
+    if (message.video){
+        flags |= Filters.VIDEO;
+    }
+
+    if (message.document){
+        flags |= Filters.DOCUMENT;
+    }
+
+    if (message.media_group_id){
+        flags |= Filters.MEDIA_GROUP;
+    }
+
+    if (message.forward_from_chat || message.forward_origin){
+        flags |= Filters.FORWARDED;
+    }
+
+    if (message.new_chat_members?.length) {
+        flags |= Filters.NEW_CHAT_MEMBERS;
+    }
+
+    if (message.left_chat_member) {
+        flags |= Filters.LEFT_CHAT_MEMBER;
+    }
+
+    if (message.new_chat_members?.length || SERVICE_FIELDS.some(field => message[field])) {
+        flags |= Filters.SERVICE_MESSAGES;
+    }
+
+    if (message.successful_payment) {
+        flags |= Filters.SUCCESSFUL_PAYMENT;
+    }
+
+    if (message.audio) {
+        flags |= Filters.AUDIO;
+    }
+
+    if (message.voice) {
+        flags |= Filters.VOICE;
+    }
+
+    if (message.video_note) {
+        flags |= Filters.VIDEO_NOTE;
+    }
+
+    if (message.sticker) {
+        flags |= Filters.STICKER;
+    }
+
+    if (message.animation) {
+        flags |= Filters.ANIMATION;
+    }
+
+    if (message.contact) {
+        flags |= Filters.CONTACT;
+    }
+
+    if (message.location) {
+        flags |= Filters.LOCATION;
+    }
+
+    if (message.venue) {
+        flags |= Filters.VENUE;
+    }
+
+    if (message.dice) {
+        flags |= Filters.DICE;
+    }
+
+    if (message.poll) {
+        flags |= Filters.POLL;
+    }
+
+    if (message.game) {
+        flags |= Filters.GAME;
+    }
+
+    if (message.checklist) {
+        flags |= Filters.CHECKLIST;
+    }
+
+    if (message.story) {
+        flags |= Filters.STORY;
+    }
+
+    if (message.paid_media) {
+        flags |= Filters.PAID_MEDIA;
+    }
+
+    return flags;
+}
+
 /**
  * Message filters.
+ * 
+ * The flags (e.g. `Filters.TEXT`) and the methods (e.g. `Filters.chatType()`) are `Filter`s, which can be combined with `and()`, `or()`, `xor()` and `not()`.
  */
 class Filters {
     /**
-     * @param {number} NONE - No filters.
+     * @param {Filter} NONE - No filters.
+     */
+    static NONE = Filter.flags(0);
+    /**
+     * @param {Filter} TEXT - Represent a text message.
+     */
+    static TEXT = Filter.flags(1 << 0);
+    /**
+     * @param {Filter} PHOTO - Represent a message containing a photo.
+     */
+    static PHOTO  = Filter.flags(1 << 1);
+    /**
+     * @param {Filter} VIDEO - Represent a message containing a video.
+     */
+    static VIDEO = Filter.flags(1 << 2);
+    /**
+     * @param {Filter} DOCUMENT - Represent a message containing a document.
+     */
+    static DOCUMENT = Filter.flags(1 << 3);
+    /**
+     * @param {Filter} COMMAND - Represent a message starting with a command (e.g. `/command TEXT`).
      */
-    static NONE = 0;
+    static COMMAND = Filter.flags(1 << 4);
     /**
-     * @param {number} TEXT - Represent a text message.
+     * @param {Filter} MEDIA_GROUP - Represent a message containing a media group.
      */
-    static TEXT = 1 << 0;
+    static MEDIA_GROUP = Filter.flags(1 << 5);
     /**
-     * @param {number} PHOTO - Represent a message containing a photo.
+     * @param {Filter} FORWARDED - Represent a forwarded message.
      */
-    static PHOTO  = 1 << 1;
+    static FORWARDED = Filter.flags(1 << 6);
     /**
-     * @param {number} VIDEO - Represent a message containing a video.
+     * @param {Filter} NEW_CHAT_MEMBERS - Represents new chat members.
      */
-    static VIDEO = 1 << 2;
+    static NEW_CHAT_MEMBERS = Filter.flags(1 << 7);
     /**
-     * @param {number} DOCUMENT - Represent a message containing a document.
+     * @param {Filter} LEFT_CHAT_MEMBER - Represents a chat member that left.
      */
-    static DOCUMENT = 1 << 3;
+    static LEFT_CHAT_MEMBER = Filter.flags(1 << 8);
     /**
-     * @param {number} COMMAND - Represent a message starting with a command (e.g. `/command TEXT`).
+     * @param {Filter} SERVICE_MESSAGES - Represents service messages.
      */
-    static COMMAND = 1 << 4;
+    static SERVICE_MESSAGES = Filter.flags(1 << 9);
     /**
-     * @param {number} MEDIA_GROUP - Represent a message containing a media group.
+     * @param {Filter} SUCCESSFUL_PAYMENT - Represents a service message about a successful payment.
      */
-    static MEDIA_GROUP = 1 << 5;
+    static SUCCESSFUL_PAYMENT = Filter.flags(1 << 10);
     /**
-     * @param {number} FORWARDED - Represent a forwarded message.
+     * @param {Filter} AUDIO - Represents an audio file.
      */
-    static FORWARDED = 1 << 6;
+    static AUDIO = Filter.flags(1 << 11);
     /**
-     * @param {number} NEW_CHAT_MEMBERS - Represents new chat members.
+     * @param {Filter} VOICE - Represents a voice message.
      */
-    static NEW_CHAT_MEMBERS = 1 << 7;
+    static VOICE = Filter.flags(1 << 12);
     /**
-     * @param {number} LEFT_CHAT_MEMBER - Represents a chat member that left.
+     * @param {Filter} VIDEO_NOTE - Represents a video note.
      */
-    static LEFT_CHAT_MEMBER = 1 << 8;
+    static VIDEO_NOTE = Filter.flags(1 << 13);
     /**
-     * @param {number} SERVICE_MESSAGES - Represents service messages.
+     * @param {Filter} STICKER - Represents a sticker.
      */
-    static SERVICE_MESSAGES = 1 << 9;
+    static STICKER = Filter.flags(1 << 14);
     /**
-     * @param {number} MEDIA - Represents photos, videos and documents.
+     * @param {Filter} ANIMATION - Represents an animation (GIF or H.264/MPEG-4 AVC video without sound).
      */
-    static MEDIA = Filters.PHOTO | Filters.VIDEO | Filters.DOCUMENT | Filters.MEDIA_GROUP;
+    static ANIMATION = Filter.flags(1 << 15);
     /**
-     * @param {number} ALL - Represent any kind of message.
+     * @param {Filter} CONTACT - Represents a shared contact.
      */
-    static ALL = Filters.TEXT | Filters.PHOTO | Filters.VIDEO | Filters.DOCUMENT | Filters.COMMAND | Filters.MEDIA_GROUP | Filters.FORWARDED | Filters.NEW_CHAT_MEMBERS | Filters.LEFT_CHAT_MEMBER | Filters.SERVICE_MESSAGES;
+    static CONTACT = Filter.flags(1 << 16);
+    /**
+     * @param {Filter} LOCATION - Represents a shared location, including venues.
+     */
+    static LOCATION = Filter.flags(1 << 17);
+    /**
+     * @param {Filter} VENUE - Represents a venue.
+     */
+    static VENUE = Filter.flags(1 << 18);
+    /**
+     * @param {Filter} DICE - Represents a dice with a random value.
+     */
+    static DICE = Filter.flags(1 << 19);
+    /**
+     * @param {Filter} POLL - Represents a native poll.
+     */
+    static POLL = Filter.flags(1 << 20);
+    /**
+     * @param {Filter} GAME - Represents a game.
+     */
+    static GAME = Filter.flags(1 << 21);
+    /**
+     * @param {Filter} CHECKLIST - Represents a checklist.
+     */
+    static CHECKLIST = Filter.flags(1 << 22);
+    /**
+     * @param {Filter} STORY - Represents a forwarded story.
+     */
+    static STORY = Filter.flags(1 << 23);
+    /**
+     * @param {Filter} PAID_MEDIA - Represents paid media.
+     */
+    static PAID_MEDIA = Filter.flags(1 << 24);
+    /**
+     * @param {Filter} MEDIA - Represents photos, videos and documents.
+     */
+    static MEDIA = Filter.flags(Filters.PHOTO | Filters.VIDEO | Filters.DOCUMENT | Filters.MEDIA_GROUP);
+    /**
+     * @param {Filter} ALL - Represent any kind of message.
+     */
+    static ALL = Filter.flags(Filters.TEXT | Filters.PHOTO | Filters.VIDEO | Filters.DOCUMENT | Filters.COMMAND | Filters.MEDIA_GROUP | Filters.FORWARDED | Filters.NEW_CHAT_MEMBERS | Filters.LEFT_CHAT_MEMBER | Filters.SERVICE_MESSAGES | Filters.SUCCESSFUL_PAYMENT | Filters.AUDIO | Filters.VOICE | Filters.VIDEO_NOTE | Filters.STICKER | Filters.ANIMATION | Filters.CONTACT | Filters.LOCATION | Filters.VENUE | Filters.DICE | Filters.POLL | Filters.GAME | Filters.CHECKLIST | Filters.STORY | Filters.PAID_MEDIA);
 
     /**
-     * Regex pattern.
-     * @param {RegExp} pattern 
-     * @returns 
+     * Messages whose text matches a pattern.
+     * @param {RegExp|string} pattern 
+     * @returns {Filter}
      */
     static regex(pattern) {
-        return (update) => {
-            if (!update.message || typeof update.message.text !== 'string') {
-                return false;
-            }
-            return pattern.test(update.message.text);
-        };
-    }
-    
+        return new Filter(update => {
+            const text = update.effective_message?.text;
+            return typeof text === "string" && new RegExp(pattern).test(text);
+        });
+    }
+
+    /**
+     * Messages with a caption, optionally matching a pattern.
+     * @param {RegExp|string} pattern 
+     * @returns {Filter}
+     */
+    static caption(pattern = null) {
+        return new Filter(update => {
+            const caption = update.effective_message?.caption;
+            return typeof caption === "string" && (!pattern || new RegExp(pattern).test(caption));
+        });
+    }
+
+    /**
+     * Updates from chats of these types.
+     * @param {...("private"|"group"|"supergroup"|"channel")} types 
+     * @returns {Filter}
+     */
+    static chatType(...types) {
+        return new Filter(update => types.includes(update.effective_chat?.type));
+    }
+
+    /**
+     * Updates from these chats.
+     * @param {...number} chat_ids 
+     * @returns {Filter}
+     */
+    static chat(...chat_ids) {
+        return new Filter(update => chat_ids.includes(update.effective_chat?.id));
+    }
+
+    /**
+     * Updates from these users.
+     * @param {...number} user_ids 
+     * @returns {Filter}
+     */
+    static user(...user_ids) {
+        return new Filter(update => user_ids.includes(update.effective_user?.id));
+    }
+
+    /**
+     * Updates from users with these usernames, with or without the `@`. Case-insensitive.
+     * @param {...string} usernames 
+     * @returns {Filter}
+     */
+    static username(...usernames) {
+        const names = usernames.map(name => name.replace(/^@/, "").toLowerCase());
+        return new Filter(update => names.includes(update.effective_user?.username?.toLowerCase()));
+    }
+
+    /**
+     * Messages containing entities of these types, in the text or in the caption.
+     * @param {...string} types e.g. `"url"`, `"mention"`, `"hashtag"`.
+     * @returns {Filter}
+     */
+    static entity(...types) {
+        return new Filter(update => {
+            const message = update.effective_message;
+            const entities = [...(message?.entities ?? []), ...(message?.caption_entities ?? [])];
+            return entities.some(entity => types.includes(entity.type));
+        });
+    }
+
+    /**
+     * Updates from users with these language codes. `"en"` also matches `"en-US"`.
+     * @param {...string} codes 
+     * @returns {Filter}
+     */
+    static language(...codes) {
+        return new Filter(update => {
+            const code = update.effective_user?.language_code;
+            return !!code && codes.some(c => code === c || code.startsWith(`${c}-`));
+        });
+    }
+
+    /**
+     * Messages sent to a forum topic, optionally a specific one.
+     * @param {number} message_thread_id 
+     * @returns {Filter}
+     */
+    static forumTopic(message_thread_id = null) {
+        return new Filter(update => {
+            const message = update.effective_message;
+            return !!message?.is_topic_message && (message_thread_id === null || message.message_thread_id === message_thread_id);
+        });
+    }
+
+    /**
+     * Messages replying to a message sent by a bot, optionally a specific one (e.g. your bot's ID).
+     * @param {number} bot_id 
+     * @returns {Filter}
+     */
+    static replyToBot(bot_id = null) {
+        return new Filter(update => {
+            const from = update.effective_message?.reply_to_message?.from;
+            return !!from?.is_bot && (bot_id === null || from.id === bot_id);
+        });
+    }
+
+    /**
+     * Messages sent via an inline bot, optionally one of these bots (IDs or usernames).
+     * @param {...(number|string)} bots 
+     * @returns {Filter}
+     */
+    static viaBot(...bots) {
+        return new Filter(update => {
+            const bot = update.effective_message?.via_bot;
+            return !!bot && (!bots.length || bots.includes(bot.id) || bots.includes(bot.username));
+        });
+    }
+
+    /**
+     * Messages sent on behalf of a chat, optionally one of these chats (IDs or usernames).
+     * @param {...(number|string)} chats 
+     * @returns {Filter}
+     */
+    static senderChat(...chats) {
+        return new Filter(update => {
+            const chat = update.effective_message?.sender_chat;
+            return !!chat && (!chats.length || chats.includes(chat.id) || chats.includes(chat.username));
+        });
+    }
 }
 
 /**
@@ -266,7 +675,11 @@ const SERVICE_FIELDS = [
     "video_chat_scheduled",
     "video_chat_started",
     "video_chat_ended",
-    "video_chat_participants_invited"
+    "video_chat_participants_invited",
+    "successful_payment",
+    "refunded_payment",
+    "migrate_to_chat_id",
+    "migrate_from_chat_id"
 ];
 
 /**
@@ -288,6 +701,7 @@ export {
     ChatAction,
     ParseMode,
     MessageEffect,
+    Filter,
     Filters,
     Permissions,
     UpdateType,
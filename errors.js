@@ -0,0 +1,122 @@
+/**
+ * Base class for the errors returned by the Bot API. Every `Bot` method throws one of its subclasses when a request fails.
+ *
+ * For example:
+ *
+ * ```
+ * try {
+ *     await bot.sendMessage({chat_id: chat_id, text: "Hello!"});
+ * } catch (error) {
+ *     if (error instanceof Forbidden) {
+ *         // The user blocked the bot.
+ *     }
+ * }
+ * ```
+ */
+class TelegramError extends Error {
+    /**
+     * @param {string} description
+     * @param {{error_code: number, parameters: {retry_after: number, migrate_to_chat_id: number}, cause: Error}} options
+     */
+    constructor(description, { error_code = null, parameters = {}, cause } = {}) {
+        super(description, { cause });
+        this.name = this.constructor.name;
+        /**
+         * The HTTP status code returned by the Bot API, or `null` if no response was received.
+         * @type {number|null}
+         */
+        this.error_code = error_code;
+        /**
+         * @type {string}
+         */
+        this.description = description;
+        /**
+         * @type {{retry_after: number, migrate_to_chat_id: number}}
+         */
+        this.parameters = parameters;
+    }
+
+    /**
+     * Create the error that matches a failed Bot API response.
+     * @param {{ok: boolean, error_code: number, description: string, parameters: {retry_after: number, migrate_to_chat_id: number}}} response
+     * @returns {TelegramError}
+     */
+    static from(response) {
+        const { error_code, description = "Unknown error", parameters = {} } = response;
+        const options = { error_code, parameters };
+
+        if (parameters.migrate_to_chat_id) return new ChatMigrated(description, options);
+        if (parameters.retry_after !== undefined) return new RetryAfter(description, options);
+
+        switch (error_code) {
+            case 400:
+                return new BadRequest(description, options);
+            case 403:
+                return new Forbidden(description, options);
+            case 409:
+                return new Conflict(description, options);
+            case 429:
+                return new RetryAfter(description, options);
+            default:
+                return new TelegramError(description, options);
+        }
+    }
+}
+
+/**
+ * The request was invalid, e.g. a message was too long or a chat was not found.
+ */
+class BadRequest extends TelegramError {}
+
+/**
+ * The bot is not allowed to do this, e.g. it was blocked by the user or kicked from the chat.
+ */
+class Forbidden extends TelegramError {}
+
+/**
+ * The group was upgraded to a supergroup. Repeat the request with `new_chat_id`.
+ */
+class ChatMigrated extends TelegramError {
+    /**
+     * The ID of the supergroup the group was migrated to.
+     * @returns {number}
+     */
+    get new_chat_id() { return this.parameters.migrate_to_chat_id }
+}
+
+/**
+ * Flood control was exceeded. Wait `retry_after` seconds before repeating the request.
+ */
+class RetryAfter extends TelegramError {
+    /**
+     * Seconds to wait before the request can be repeated.
+     * @returns {number}
+     */
+    get retry_after() { return this.parameters.retry_after ?? 1 }
+}
+
+/**
+ * Another instance of the bot is polling for updates, or a webhook is set while polling.
+ */
+class Conflict extends TelegramError {}
+
+/**
+ * The Bot API could not be reached.
+ */
+class NetworkError extends TelegramError {}
+
+/**
+ * The Bot API did not answer in time. The request may still have been carried out.
+ */
+class TimedOut extends NetworkError {}
+
+export {
+    TelegramError,
+    BadRequest,
+    Forbidden,
+    ChatMigrated,
+    RetryAfter,
+    Conflict,
+    NetworkError,
+    TimedOut
+}
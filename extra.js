@@ -1,7 +1,12 @@
+import { randomUUID } from "crypto";
+
 /**
  * Represents a scheduled task.
  */
 class Schedule {
+    /**
+     * @param {NodeJS.Timeout|Job} schedule An interval, or the job running the task.
+     */
     constructor(schedule){
         this.schedule = schedule;
     }
@@ -11,7 +16,7 @@ class Schedule {
      * @returns {number}
      */
     get id(){
-        return this.schedule;
+        return this.schedule instanceof Job ? this.schedule.id : this.schedule;
     }
 
     /**
@@ -19,16 +24,24 @@ class Schedule {
      * @returns {boolean}
      */
     delete(){
-        clearInterval(this.schedule);
+        if (this.schedule instanceof Job) {
+            this.schedule.remove();
+        } else {
+            clearInterval(this.schedule);
+        }
         return true;
     }
 }
 
 class Queue {
-    constructor (){
+    /**
+     * @param {((error: Error) => Promise<void>)|null} onError Called when a task fails or times out. Errors are logged if not set.
+     */
+    constructor (onError = null){
         this.queue = [];
         this.standby = [];
         this.running = false;
+        this.onError = onError;
     }
 
     /**
@@ -150,7 +163,11 @@ class Queue {
                 try {
                     await this.withTimeout(task(), 30000);
                 } catch (error) {
-                    console.error("Queue task failed:", error);
+                    if (this.onError) {
+                        await this.onError(error);
+                    } else {
+                        console.error("Queue task failed:", error);
+                    }
                 }
             }
         } finally {
@@ -181,7 +198,957 @@ class Queue {
     }
 }
 
+/**
+ * Runs tasks in parallel, up to a limit. Tasks sharing a key (e.g. the same chat) run one at a time, in the order they were added.
+ * 
+ * For example:
+ * 
+ * ```
+ * const queue = new ConcurrentQueue({concurrency: 8});
+ * queue.add(chat_id, async () => {
+ *      await bot.sendMessage({chat_id: chat_id, text: "Hello!"});
+ * });
+ * ```
+ */
+class ConcurrentQueue {
+    /**
+     * @param {{concurrency: number, timeout: number, onError: ((error: Error) => Promise<void>)|null}} config `concurrency`: tasks running at the same time. `timeout`: milliseconds after which a task stops holding up its key and counts as failed, or `0` to wait forever. `onError`: called when a task fails or times out; errors are logged if not set.
+     */
+    constructor({ concurrency = 1, timeout = 30000, onError = null } = {}){
+        this.concurrency = Math.max(1, concurrency);
+        this.timeout = timeout;
+        this.onError = onError;
+        /**
+         * The pending tasks of each key.
+         * @type {Map<any, {task: () => Promise<void>, onSettled: (() => void)|null}[]>}
+         */
+        this.lanes = new Map();
+        /**
+         * The keys with a pending task and none running, in the order they will run.
+         * @type {any[]}
+         */
+        this.ready = [];
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    /**
+     * Number of tasks waiting or running.
+     * @returns {number}
+     */
+    get size() {
+        let size = 0;
+        for (const lane of this.lanes.values()) size += lane.length;
+        return size;
+    }
+
+    /**
+     * Queue a task. It runs after the earlier tasks with the same key. Pass a unique key (e.g. `Symbol()`) for a task that doesn't need ordering.
+     * @param {any} key 
+     * @param {() => Promise<void>} task 
+     * @param {(() => void)|null} onSettled Called once the task has finished or timed out, when the queue moves on from it.
+     * @returns {this}
+     */
+    add(key, task, onSettled = null){
+        const lane = this.lanes.get(key);
+
+        if (lane) {
+            lane.push({ task, onSettled });
+        } else {
+            this.lanes.set(key, [{ task, onSettled }]);
+            this.ready.push(key);
+        }
+
+        this.next();
+        return this;
+    }
+
+    /**
+     * Start as many ready tasks as the concurrency limit allows.
+     */
+    next(){
+        while (this.active < this.concurrency && this.ready.length > 0) {
+            const key = this.ready.shift();
+            const { task, onSettled } = this.lanes.get(key)[0];
+            this.active += 1;
+            this.run(task).finally(() => {
+                onSettled?.();
+                this.done(key);
+            });
+        }
+
+        if (this.active === 0 && this.ready.length === 0) {
+            for (const resolve of this.waiting.splice(0)) resolve();
+        }
+    }
+
+    async run(task){
+        try {
+            await this.withTimeout(task(), this.timeout);
+        } catch (error) {
+            if (this.onError) {
+                await this.onError(error);
+            } else {
+                console.error("Queue task failed:", error);
+            }
+        }
+    }
+
+    done(key){
+        const lane = this.lanes.get(key);
+        lane.shift();
+
+        if (lane.length > 0) {
+            this.ready.push(key);
+        } else {
+            this.lanes.delete(key);
+        }
+
+        this.active -= 1;
+        this.next();
+    }
+
+    /**
+     * Wait until every queued task has finished.
+     * @returns {Promise<void>}
+     */
+    idle(){
+        if (this.active === 0 && this.ready.length === 0) return Promise.resolve();
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    async withTimeout(promise, timeout = 30000) {
+        if (!timeout) return await promise;
+
+        let timer;
+        const timeoutPromise = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                reject(new Error("Task timeout"));
+            }, timeout);
+        });
+
+        try {
+            return await Promise.race([
+                promise,
+                timeoutPromise
+            ]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+/**
+ * A token bucket. It holds up to `limit` tokens and refills them evenly over `period` milliseconds.
+ */
+class TokenBucket {
+    /**
+     * @param {number} limit 
+     * @param {number} period 
+     */
+    constructor(limit, period){
+        this.limit = limit;
+        this.period = period;
+        this.tokens = limit;
+        this.updated = Date.now();
+    }
+
+    refill(){
+        const now = Date.now();
+        this.tokens = Math.min(this.limit, this.tokens + (now - this.updated) * this.limit / this.period);
+        this.updated = now;
+    }
+
+    /**
+     * Milliseconds until a token is available. `0` if one is available now.
+     * @returns {number}
+     */
+    get wait(){
+        this.refill();
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) * this.period / this.limit);
+    }
+
+    /**
+     * Whether the bucket is full, i.e. it has not been used for a while.
+     * @returns {boolean}
+     */
+    get full(){
+        this.refill();
+        return this.tokens >= this.limit;
+    }
+
+    take(){
+        this.tokens -= 1;
+    }
+}
+
+/**
+ * Throttles outgoing requests so that they stay within Telegram's limits: about 30 messages per second overall, 20 messages per minute in a group and one message per second in a private chat. Requests over the limit wait for their turn instead of failing with `429 Too Many Requests`.
+ * 
+ * For example:
+ * 
+ * ```
+ * const app = new App().token(API_KEY).rateLimiter(new RateLimiter()).build();
+ * ```
+ */
+class RateLimiter {
+    /**
+     * @param {{globalLimit: number, globalPeriod: number, groupLimit: number, groupPeriod: number, chatLimit: number, chatPeriod: number}} config Requests allowed per period (in milliseconds): `global` for all chats together, `group` for each group or channel, `chat` for each private chat.
+     */
+    constructor({ globalLimit = 30, globalPeriod = 1000, groupLimit = 20, groupPeriod = 60000, chatLimit = 1, chatPeriod = 1000 } = {}){
+        this.global = new TokenBucket(globalLimit, globalPeriod);
+        this.group = { limit: groupLimit, period: groupPeriod };
+        this.chat = { limit: chatLimit, period: chatPeriod };
+        /**
+         * @type {Map<string, TokenBucket>}
+         */
+        this.buckets = new Map();
+    }
+
+    /**
+     * Check if a Bot API method counts against the flood limits. Only the methods that send messages (`send*`, `copy*` and `forward*`) do; `sendChatAction` and the other methods, such as `getChatMember`, are never throttled.
+     * @param {string} method 
+     * @returns {boolean}
+     */
+    limits(method){
+        return /^(send|copy|forward)/.test(method) && method !== "sendChatAction";
+    }
+
+    /**
+     * Get the bucket of a chat. Group, supergroup and channel IDs are negative, and usernames (`@channel`) belong to public groups or channels.
+     * @param {number|string} chat_id 
+     * @returns {TokenBucket}
+     */
+    bucket(chat_id){
+        const key = String(chat_id);
+        let bucket = this.buckets.get(key);
+
+        if (!bucket) {
+            if (this.buckets.size >= 10000) this.prune();
+            const { limit, period } = Number(chat_id) > 0 ? this.chat : this.group;
+            bucket = new TokenBucket(limit, period);
+            this.buckets.set(key, bucket);
+        }
+
+        return bucket;
+    }
+
+    /**
+     * Forget the buckets of chats that have not been used for a while.
+     */
+    prune(){
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.full) this.buckets.delete(key);
+        }
+    }
+
+    /**
+     * Wait until a request may be sent. Pass the target chat to apply its per-chat limit as well as the global one.
+     * @param {number|string} [chat_id]
+     * @returns {Promise<void>}
+     */
+    async acquire(chat_id){
+        const buckets = chat_id === undefined || chat_id === null ? [this.global] : [this.global, this.bucket(chat_id)];
+
+        while (true) {
+            const wait = Math.max(...buckets.map(bucket => bucket.wait));
+            if (wait === 0) break;
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+
+        for (const bucket of buckets) bucket.take();
+    }
+}
+
+/**
+ * The longest delay `setTimeout` accepts (about 24.8 days). Longer waits are split.
+ */
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+const CRON_PRESETS = {
+    "@yearly": "0 0 1 1 *",
+    "@annually": "0 0 1 1 *",
+    "@monthly": "0 0 1 * *",
+    "@weekly": "0 0 * * 0",
+    "@daily": "0 0 * * *",
+    "@midnight": "0 0 * * *",
+    "@hourly": "0 * * * *"
+};
+
+const CRON_NAMES = {
+    JAN: 1, FEB: 2, MAR: 3, APR: 4, MAY: 5, JUN: 6, JUL: 7, AUG: 8, SEP: 9, OCT: 10, NOV: 11, DEC: 12,
+    SUN: 0, MON: 1, TUE: 2, WED: 3, THU: 4, FRI: 5, SAT: 6
+};
+
+/**
+ * Get the wall-clock time of an instant in a timezone, as a `Date` whose UTC fields hold the local date and time.
+ * @param {Date} date 
+ * @param {string} [timezone] An IANA timezone, e.g. `"Europe/Rome"`. The system timezone if not set.
+ * @returns {Date}
+ */
+function wallClock(date, timezone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric"
+    }).formatToParts(date).map(part => [part.type, Number(part.value)]));
+
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, date.getUTCMilliseconds()));
+}
+
+/**
+ * Get the instant of a wall-clock time in a timezone. The reverse of `wallClock()`.
+ * @param {Date} wall 
+ * @param {string} [timezone] 
+ * @returns {Date}
+ */
+function fromWallClock(wall, timezone) {
+    const offset = (date) => wallClock(date, timezone).getTime() - date.getTime();
+    const guess = new Date(wall.getTime() - offset(wall));
+    // The offset of the guess can differ around daylight saving time changes.
+    return new Date(wall.getTime() - offset(guess));
+}
+
+/**
+ * A parsed cron expression: `minute hour day-of-month month day-of-week`, with an optional leading seconds field. Fields accept `*`, numbers, ranges (`1-5`), lists (`1,15`), steps (`*\/15`) and names (`MON`, `JAN`). Presets such as `@daily` and `@hourly` are supported too.
+ */
+class CronExpression {
+    /**
+     * @param {string} expression 
+     */
+    constructor(expression) {
+        const fields = (CRON_PRESETS[expression.trim()] ?? expression).trim().split(/\s+/);
+        if (fields.length === 5) fields.unshift("0");
+
+        if (fields.length !== 6) {
+            throw new Error(`Invalid cron expression: "${expression}".`);
+        }
+
+        const [seconds, minutes, hours, days, months, weekdays] = fields;
+        this.expression = expression;
+        this.seconds = CronExpression.parse(seconds, 0, 59);
+        this.minutes = CronExpression.parse(minutes, 0, 59);
+        this.hours = CronExpression.parse(hours, 0, 23);
+        this.days = CronExpression.parse(days, 1, 31);
+        this.months = CronExpression.parse(months, 1, 12);
+        this.weekdays = new Set([...CronExpression.parse(weekdays, 0, 7)].map(day => day % 7));
+        this.anyDay = days === "*";
+        this.anyWeekday = weekdays === "*";
+    }
+
+    /**
+     * Parse one field of a cron expression.
+     * @param {string} field 
+     * @param {number} min 
+     * @param {number} max 
+     * @returns {Set<number>}
+     */
+    static parse(field, min, max) {
+        const values = new Set();
+        const toNumber = (value) => CRON_NAMES[value.toUpperCase()] ?? Number(value);
+
+        for (const part of field.split(",")) {
+            const [range, step] = part.split("/");
+            let [start, end] = range === "*" ? [min, max] : range.split("-").map(toNumber);
+            end ??= step === undefined ? start : max;
+            const increment = step === undefined ? 1 : Number(step);
+
+            if (![start, end, increment].every(Number.isInteger) || start < min || end > max || start > end || increment < 1) {
+                throw new Error(`Invalid cron field: "${field}".`);
+            }
+
+            for (let value = start; value <= end; value += increment) {
+                values.add(value);
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Whether the expression matches the day of a wall-clock time. Like in cron, if both the day of month and the day of week are restricted, either may match.
+     * @param {Date} wall 
+     * @returns {boolean}
+     */
+    matchesDay(wall) {
+        const day = this.days.has(wall.getUTCDate());
+        const weekday = this.weekdays.has(wall.getUTCDay());
+
+        if (this.anyDay) return weekday;
+        if (this.anyWeekday) return day;
+        return day || weekday;
+    }
+
+    /**
+     * Get the first time after `after` that matches the expression.
+     * @param {Date} after 
+     * @param {string} [timezone] 
+     * @returns {Date|null} `null` if nothing matches in the next 5 years.
+     */
+    next(after, timezone) {
+        const start = wallClock(after, timezone);
+        let wall = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate(), start.getUTCHours(), start.getUTCMinutes(), start.getUTCSeconds() + 1));
+        const limit = Date.UTC(start.getUTCFullYear() + 5, 0, 1);
+
+        while (wall.getTime() < limit) {
+            const [year, month, day, hour, minute, second] = [wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(), wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds()];
+
+            if (!this.months.has(month + 1)) {
+                wall = new Date(Date.UTC(year, month + 1, 1));
+            } else if (!this.matchesDay(wall)) {
+                wall = new Date(Date.UTC(year, month, day + 1));
+            } else if (!this.hours.has(hour)) {
+                wall = new Date(Date.UTC(year, month, day, hour + 1));
+            } else if (!this.minutes.has(minute)) {
+                wall = new Date(Date.UTC(year, month, day, hour, minute + 1));
+            } else if (!this.seconds.has(second)) {
+                wall = new Date(Date.UTC(year, month, day, hour, minute, second + 1));
+            } else {
+                const instant = fromWallClock(wall, timezone);
+                if (instant > after) return instant;
+                wall = new Date(Date.UTC(year, month, day, hour, minute, second + 1));
+            }
+        }
+
+        return null;
+    }
+}
+
+/**
+ * Represents a job of a `JobQueue`.
+ */
+class Job {
+    static #lastId = 0;
+
+    /**
+     * @param {(context: Context) => Promise<void>} callback 
+     * @param {{type: "once", at: number}|{type: "repeating", interval: number, first: number, last: number|null}|{type: "cron", expression: string, timezone: string}} trigger When the job runs. Times are in milliseconds since the epoch.
+     * @param {{name: string, data: any, chat_id: number, user_id: number, persistent: boolean, catchUp: "skip"|"once"|"all", key: string}} options 
+     */
+    constructor(callback, trigger, { name = null, data = null, chat_id = null, user_id = null, persistent = false, catchUp = null, key = randomUUID() } = {}) {
+        this.id = ++Job.#lastId;
+        /**
+         * Identifies the job in the persistence backend.
+         * @type {string}
+         */
+        this.key = key;
+        this.callback = callback;
+        this.trigger = trigger;
+        /**
+         * The name of the job. Defaults to the name of the callback.
+         * @type {string|null}
+         */
+        this.name = name ?? (callback.name || null);
+        /**
+         * Any data for the callback, e.g. the text of a reminder.
+         * @type {any}
+         */
+        this.data = data;
+        /**
+         * The chat the job belongs to. Its `context.chatData` is the data of this chat.
+         * @type {number|null}
+         */
+        this.chat_id = chat_id;
+        /**
+         * The user the job belongs to. Its `context.userData` is the data of this user.
+         * @type {number|null}
+         */
+        this.user_id = user_id;
+        /**
+         * Whether the job is saved with the app's persistence backend, so that it survives restarts.
+         * @type {boolean}
+         */
+        this.persistent = persistent;
+        /**
+         * What to do with the runs missed while the bot was down: `"skip"` them, run `"once"`, or run `"all"` of them. Defaults to the queue's `catchUp`.
+         * @type {"skip"|"once"|"all"|null}
+         */
+        this.catchUp = catchUp;
+        /**
+         * When the job runs next. `null` if it is not scheduled.
+         * @type {Date|null}
+         */
+        this.next_t = null;
+        /**
+         * When the job last ran, in milliseconds since the epoch. `null` if it never ran.
+         * @type {number|null}
+         */
+        this.last_t = null;
+        /**
+         * A disabled job keeps its schedule, but its runs are skipped.
+         * @type {boolean}
+         */
+        this.enabled = true;
+        this.removed = false;
+        this.timer = null;
+        /**
+         * @type {JobQueue|null}
+         */
+        this.queue = null;
+        this.cron = trigger.type === "cron" ? new CronExpression(trigger.expression) : null;
+    }
+
+    /**
+     * Get the time of the run that follows `after`.
+     * @param {number} after Milliseconds since the epoch.
+     * @returns {Date|null} `null` if the job has no more runs.
+     */
+    nextTime(after) {
+        const trigger = this.trigger;
+
+        switch (trigger.type) {
+            case "once":
+                return this.last_t === null ? new Date(trigger.at) : null;
+            case "repeating": {
+                let next = trigger.first;
+
+                if (this.last_t !== null) {
+                    next = this.last_t + trigger.interval;
+                    // Runs missed while the callback was busy are skipped.
+                    while (next <= after) next += trigger.interval;
+                }
+
+                return trigger.last !== null && next > trigger.last ? null : new Date(next);
+            }
+            case "cron":
+                return this.cron.next(new Date(after), trigger.timezone);
+            default:
+                throw new Error(`Unknown job trigger: ${trigger.type}.`);
+        }
+    }
+
+    /**
+     * Remove the job from its queue. It won't run again.
+     */
+    remove() {
+        this.removed = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.next_t = null;
+        this.queue?.jobs.delete(this);
+        this.queue?.save(this);
+    }
+
+    /**
+     * The job as stored by the persistence backend. The callback is stored by the name it was registered with.
+     * @returns {{callback: string, trigger: Object, name: string, data: any, chat_id: number, user_id: number, catchUp: string, last_t: number, next_t: number}}
+     */
+    toJSON() {
+        return {
+            callback: this.queue?.callbackName(this.callback) ?? null,
+            trigger: this.trigger,
+            name: this.name,
+            data: this.data,
+            chat_id: this.chat_id,
+            user_id: this.user_id,
+            catchUp: this.catchUp,
+            last_t: this.last_t,
+            next_t: this.next_t?.getTime() ?? null
+        };
+    }
+}
+
+/**
+ * Runs jobs at given times: once, at an interval, every day or on a cron schedule. The app has one, reachable with `app.job_queue` or `context.job_queue`. Job callbacks get a `Context` with the bot, the app and the job itself, so they can send messages outside any update.
+ * 
+ * For example:
+ * 
+ * ```
+ * context.job_queue.run_once(async (context) => {
+ *     await context.bot.sendMessage({chat_id: context.job.chat_id, text: context.job.data});
+ * }, 60 * 60 * 1000, {name: "reminder", chat_id: update.effective_chat.id, data: "Time to stretch!"});
+ * ```
+ * 
+ * Jobs created with `persistent: true` are saved with the app's persistence backend and scheduled again when the app restarts. Their callback must be registered first, so that it can be found by name:
+ * 
+ * ```
+ * app.job_queue.register(remind);
+ * context.job_queue.run_once("remind", new Date(2030, 0, 1, 9), {chat_id: update.effective_chat.id, persistent: true, catchUp: "once"});
+ * ```
+ */
+class JobQueue {
+    /**
+     * @param {(job: Job) => Promise<void>} runner Runs the callback of a job. Set by the app.
+     * @param {((error: Error) => Promise<void>)|null} onError Called when a job fails outside of its callback. Errors are logged if not set.
+     */
+    constructor(runner = async (job) => await job.callback(null), onError = null) {
+        this.runner = runner;
+        this.onError = onError;
+        /**
+         * @type {Set<Job>}
+         */
+        this.jobs = new Set();
+        this.running = false;
+        /**
+         * Callbacks of persistent jobs, by name.
+         * @type {Map<string, (context: Context) => Promise<void>>}
+         */
+        this.callbacks = new Map();
+        /**
+         * Where persistent jobs are saved. Set by the app.
+         * @type {BasePersistence|null}
+         */
+        this.persistence = null;
+        /**
+         * What to do with the runs of persistent jobs missed while the bot was down, unless the job says otherwise: `"skip"` them, run `"once"`, or run `"all"` of them.
+         * @type {"skip"|"once"|"all"}
+         */
+        this.catchUp = "once";
+        /**
+         * Persistent jobs loaded by `restore()`, whose missed runs are caught up on `start()`.
+         * @type {Set<Job>}
+         */
+        this.restored = new Set();
+    }
+
+    /**
+     * Register the callback of persistent jobs under a name. Register callbacks before the app starts, so that restored jobs can find them.
+     * @param {(context: Context) => Promise<void>} callback 
+     * @param {string} name Defaults to the name of the function.
+     * @returns {JobQueue}
+     */
+    register(callback, name = callback.name) {
+        if (!name) {
+            throw new Error("A job callback needs a name to be registered.");
+        }
+
+        this.callbacks.set(name, callback);
+        return this;
+    }
+
+    /**
+     * Get the name a callback was registered with.
+     * @param {Function} callback 
+     * @returns {string|null}
+     */
+    callbackName(callback) {
+        for (const [name, registered] of this.callbacks) {
+            if (registered === callback) return name;
+        }
+        return null;
+    }
+
+    /**
+     * Get a registered callback, or pass a function through.
+     * @param {string|Function} callback 
+     * @returns {Function}
+     */
+    resolve(callback) {
+        if (typeof callback === "function") return callback;
+
+        if (!this.callbacks.has(callback)) {
+            throw new Error(`No job callback is registered as "${callback}".`);
+        }
+
+        return this.callbacks.get(callback);
+    }
+
+    /**
+     * Run a job once.
+     * @param {((context: Context) => Promise<void>)|string} callback A function, or the name of a registered callback.
+     * @param {number|Date} when A delay in milliseconds, or a date.
+     * @param {{name: string, data: any, chat_id: number, user_id: number, persistent: boolean, catchUp: "skip"|"once"|"all"}} options `persistent`: save the job, so that it survives restarts. `catchUp`: what to do with the runs missed while the bot was down.
+     * @returns {Job}
+     */
+    run_once(callback, when, options = {}) {
+        return this.add(new Job(this.resolve(callback), { type: "once", at: JobQueue.toTime(when) }, options));
+    }
+
+    /**
+     * Run a job at a fixed interval.
+     * @param {((context: Context) => Promise<void>)|string} callback A function, or the name of a registered callback.
+     * @param {number} interval In milliseconds.
+     * @param {{first: number|Date, last: number|Date, name: string, data: any, chat_id: number, user_id: number, persistent: boolean, catchUp: "skip"|"once"|"all"}} options `first`: the first run, as a delay in milliseconds or a date. Defaults to one interval from now. `last`: no runs after this time.
+     * @returns {Job}
+     */
+    run_repeating(callback, interval, { first = interval, last = null, ...options } = {}) {
+        if (!(interval > 0)) {
+            throw new Error("The interval of a repeating job must be a positive number of milliseconds.");
+        }
+
+        const trigger = { type: "repeating", interval, first: JobQueue.toTime(first), last: last === null ? null : JobQueue.toTime(last) };
+        return this.add(new Job(this.resolve(callback), trigger, options));
+    }
+
+    /**
+     * Run a job every day at the same time.
+     * 
+     * For example:
+     * 
+     * ```
+     * app.job_queue.run_daily(sendDigest, "09:00", {days: [1, 2, 3, 4, 5], timezone: "Europe/Rome"});
+     * ```
+     * 
+     * @param {((context: Context) => Promise<void>)|string} callback A function, or the name of a registered callback.
+     * @param {string} time `"HH:MM"` or `"HH:MM:SS"`.
+     * @param {{days: number[], timezone: string, name: string, data: any, chat_id: number, user_id: number, persistent: boolean, catchUp: "skip"|"once"|"all"}} options `days`: the days of the week to run on, from `0` (Sunday) to `6` (Saturday). Every day by default. `timezone`: an IANA timezone. The system timezone by default.
+     * @returns {Job}
+     */
+    run_daily(callback, time, { days = null, timezone, ...options } = {}) {
+        const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(time);
+
+        if (!match) {
+            throw new Error(`Invalid time: "${time}". Use "HH:MM" or "HH:MM:SS".`);
+        }
+
+        const [, hours, minutes, seconds = "0"] = match;
+        const expression = `${Number(seconds)} ${Number(minutes)} ${Number(hours)} * * ${days?.length ? days.join(",") : "*"}`;
+        return this.run_cron(callback, expression, { timezone, ...options });
+    }
+
+    /**
+     * Run a job on a cron schedule.
+     * 
+     * For example:
+     * 
+     * ```
+     * app.job_queue.run_cron(cleanUp, "30 3 * * MON", {timezone: "UTC"});
+     * ```
+     * 
+     * @param {((context: Context) => Promise<void>)|string} callback A function, or the name of a registered callback.
+     * @param {string} expression `minute hour day-of-month month day-of-week`, with an optional leading seconds field.
+     * @param {{timezone: string, name: string, data: any, chat_id: number, user_id: number, persistent: boolean, catchUp: "skip"|"once"|"all"}} options 
+     * @returns {Job}
+     */
+    run_cron(callback, expression, { timezone, ...options } = {}) {
+        return this.add(new Job(this.resolve(callback), { type: "cron", expression, timezone }, options));
+    }
+
+    /**
+     * Convert a delay in milliseconds or a date to milliseconds since the epoch.
+     * @param {number|Date} when 
+     * @returns {number}
+     */
+    static toTime(when) {
+        return when instanceof Date ? when.getTime() : Date.now() + when;
+    }
+
+    /**
+     * Add a job. It is scheduled right away if the queue is running.
+     * @param {Job} job 
+     * @returns {Job}
+     */
+    add(job) {
+        if (job.persistent && !this.callbackName(job.callback)) {
+            throw new Error("The callback of a persistent job must be registered with register() first.");
+        }
+
+        job.queue = this;
+        this.jobs.add(job);
+
+        if (this.running) {
+            this.schedule(job, Date.now());
+        }
+
+        this.save(job);
+        return job;
+    }
+
+    /**
+     * Save a persistent job, or delete it if it was removed.
+     * @param {Job} job 
+     * @returns {Promise<void>}
+     */
+    async save(job) {
+        if (!job.persistent || !this.persistence) return;
+
+        try {
+            await this.persistence.updateJob(job.key, job.removed ? null : job.toJSON());
+        } catch (error) {
+            console.error(`Unable to save job ${job.key}:`, error);
+        }
+    }
+
+    /**
+     * Load the persistent jobs from a persistence backend. Jobs whose callback is not registered are left in storage and skipped.
+     * @param {BasePersistence} persistence 
+     */
+    async restore(persistence) {
+        this.persistence = persistence;
+
+        for (const [key, stored] of Object.entries(await persistence.getJobs())) {
+            const callback = this.callbacks.get(stored.callback);
+
+            if (!callback) {
+                console.error(`Job ${key} was not restored: no callback is registered as "${stored.callback}".`);
+                continue;
+            }
+
+            const job = new Job(callback, stored.trigger, { ...stored, key, persistent: true });
+            job.last_t = stored.last_t;
+            job.next_t = stored.next_t === null ? job.nextTime(Date.now()) : new Date(stored.next_t);
+            job.queue = this;
+            this.jobs.add(job);
+            this.restored.add(job);
+        }
+
+        // Jobs added before the backend was known are saved now.
+        for (const job of this.jobs) {
+            if (!this.restored.has(job)) await this.save(job);
+        }
+    }
+
+    /**
+     * Run the runs of a restored job that were missed while the bot was down, following its catch-up policy, then schedule it as usual.
+     * @param {Job} job 
+     */
+    async recover(job) {
+        const now = Date.now();
+        const policy = job.catchUp ?? this.catchUp;
+        let missed = 0;
+
+        while (job.next_t && job.next_t.getTime() <= now && missed < 1000) {
+            missed++;
+            job.last_t = job.next_t.getTime();
+            job.next_t = job.nextTime(job.last_t);
+        }
+
+        const runs = policy === "all" ? missed : policy === "once" ? Math.min(missed, 1) : 0;
+
+        if (job.next_t) {
+            this.wait(job);
+        } else if (!runs) {
+            job.remove();
+            return;
+        }
+
+        for (let run = 0; run < runs && !job.removed; run++) {
+            if (job.enabled) await this.runner(job);
+        }
+
+        if (!job.next_t) {
+            job.remove();
+        } else {
+            await this.save(job);
+        }
+    }
+
+    /**
+     * Get the jobs, or only the jobs with a given name.
+     * @param {string} [name] 
+     * @returns {Job[]}
+     */
+    getJobs(name = null) {
+        return [...this.jobs].filter(job => name === null || job.name === name);
+    }
+
+    /**
+     * Remove the jobs with a given name.
+     * @param {string} name 
+     * @returns {number} The number of removed jobs.
+     */
+    cancel(name) {
+        const jobs = this.getJobs(name);
+        for (const job of jobs) job.remove();
+        return jobs.length;
+    }
+
+    /**
+     * Schedule the next run of a job, or remove it if it has none.
+     * @param {Job} job 
+     * @param {number} after 
+     */
+    schedule(job, after) {
+        clearTimeout(job.timer);
+        job.next_t = job.nextTime(after);
+
+        if (!job.next_t) {
+            job.remove();
+            return;
+        }
+
+        this.wait(job);
+    }
+
+    /**
+     * @param {Job} job 
+     */
+    wait(job) {
+        const delay = job.next_t.getTime() - Date.now();
+
+        job.timer = setTimeout(() => {
+            if (delay > MAX_TIMEOUT) {
+                this.wait(job);
+            } else {
+                this.fire(job).catch(error => this.fail(error));
+            }
+        }, Math.min(Math.max(delay, 0), MAX_TIMEOUT));
+    }
+
+    /**
+     * Run a job and schedule its next run.
+     * @param {Job} job 
+     */
+    async fire(job) {
+        job.timer = null;
+        const scheduled = job.next_t.getTime();
+        job.last_t = scheduled;
+
+        // The next run is scheduled first, so that it doesn't drift with the time the callback takes.
+        this.schedule(job, Math.max(scheduled, Date.now()));
+
+        if (job.enabled) {
+            await this.runner(job);
+        }
+
+        if (!job.removed) {
+            await this.save(job);
+        }
+    }
+
+    /**
+     * Report an error raised while running a job.
+     * @param {Error} error 
+     */
+    async fail(error) {
+        if (this.onError) {
+            await this.onError(error);
+        } else {
+            console.error("Job failed:", error);
+        }
+    }
+
+    /**
+     * Start running the jobs.
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+
+        for (const job of this.jobs) {
+            if (this.restored.has(job)) {
+                this.restored.delete(job);
+                this.recover(job).catch(error => this.fail(error));
+            } else {
+                this.schedule(job, Date.now());
+                this.save(job);
+            }
+        }
+    }
+
+    /**
+     * Stop running the jobs. They are kept, and are scheduled again by `start()`.
+     */
+    stop() {
+        this.running = false;
+
+        for (const job of this.jobs) {
+            clearTimeout(job.timer);
+            job.timer = null;
+        }
+    }
+}
+
 export {
     Schedule,
-    Queue
+    Queue,
+    ConcurrentQueue,
+    RateLimiter,
+    Job,
+    JobQueue
 }
\ No newline at end of file
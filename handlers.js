@@ -1,6 +1,6 @@
 import {Update, Context} from "./base.js";
-import { Filters } from "./constants.js";
-import { getMessage, isService, parseCommand } from "./utils.js";
+import { Filter } from "./constants.js";
+import { getMessage, parseCommand, reactionKey } from "./utils.js";
 
 class BaseHandler {
     /**
@@ -11,10 +11,49 @@ class BaseHandler {
     constructor (filter, callback){
         this.filter = filter;
         this.callback = callback;
+        this.blocking = true;
     }
 
     async canHandle (update){
-        return this.filter(update);
+        if (!(await this.filter(update))) {
+            return false;
+        }
+
+        return !this.condition || await this.condition.check(update);
+    }
+
+    /**
+     * Only handle the updates passing a filter, on top of the handler's own checks. Can be called several times; all the filters must pass.
+     * 
+     * For example:
+     * 
+     * ```
+     * app.addHandler(new CommandHandler("warn", warn).where(Filters.chatType("group", "supergroup")));
+     * ```
+     * 
+     * @param {Filter|number|(update: Update) => boolean} filter 
+     * @returns {this}
+     */
+    where (filter){
+        this.condition = this.condition ? this.condition.and(filter) : Filter.from(filter);
+        return this;
+    }
+
+    /**
+     * Choose whether the handler blocks the updates after it. A non-blocking handler runs in the background: the handlers in later groups and the next update from the same chat don't wait for it to finish. Handlers inside a `ConversationHandler` always block, since they return the next state.
+     *
+     * For example:
+     *
+     * ```
+     * app.addHandler(new CommandHandler("report", buildReport).block(false));
+     * ```
+     *
+     * @param {boolean} block
+     * @returns {this}
+     */
+    block (block = true){
+        this.blocking = block;
+        return this;
     }
 
     async handle (update, context){
@@ -22,9 +61,19 @@ class BaseHandler {
             return false;
         }
 
-        await this.callback(update, context);
+        await this.invoke(update, context);
         return true;
     }
+
+    /**
+     * Run the callback without checking the filter, and return its result.
+     * @param {Update} update 
+     * @param {Context} context 
+     * @returns {Promise<any>}
+     */
+    async invoke (update, context){
+        return await this.callback(update, context);
+    }
 }
 
 /**
@@ -48,99 +97,97 @@ class CommandHandler extends BaseHandler {
      * @param {Update} update 
      * @param {Context} context 
      */
-    async handle(update, context) {
-        if (!(await this.canHandle(update))) {
-            return false;
-        }
-
+    async invoke(update, context) {
         const message = getMessage(update);
-
-        if (!message?.text) {
-            return false;
-        }
-
-        const args = parseCommand(message.text);
-        context.args = args;
-        await this.callback(update, context);
-
-        return true;
+        context.args = parseCommand(message.text);
+        return await super.invoke(update, context);
     }
 }
 
 /**
- * Handle `message` updates.
+ * Handle `message` updates, and optionally `channel_post`, `edited_message` and `edited_channel_post` updates.
+ * 
+ * For example:
+ * 
+ * ```
+ * // Check the text again when a user edits their message.
+ * app.addHandler(new MessageHandler(Filters.TEXT, moderate, {edited: true}));
+ * ```
  */
 class MessageHandler extends BaseHandler {
     /**
      * 
-     * @param {Filters|function} filter 
+     * @param {Filter|number|function} filter A `Filter`, a bitmask of `Filters` flags, or a function.
      * @param {(update: Update, context: Context) => Promise<void>} callback
+     * @param {{edited: boolean, channelPosts: boolean}} options `edited`: also handle edited messages. `channelPosts`: also handle channel posts (and edited channel posts, if `edited` is set).
      */
-    constructor (filter, callback){
-        super((/**@type {Update}*/update) => {
-            const message = getMessage(update);
-
-            if (update.type !== "message") return false;
-            if (typeof filter === "function") return filter(update);
-
-            let flags = 0;
-
-            if (message.text){
-                flags |= Filters.TEXT;
-                if (message.text.startsWith("/")){
-                    flags |= Filters.COMMAND;
-                }
-            }
-
-            if (message.photo || message.video || message.document || message.media_group_id) {
-                flags |= Filters.MEDIA;
-            }
-
-            if (message.photo){
-                flags |= Filters.PHOTO;
-            }
-
-            if (message.video){
-                flags |= Filters.VIDEO;
-            }
-
-            if (message.document){
-                flags |= Filters.DOCUMENT;
-            }
-
-            if (message.media_group_id){
-                flags |= Filters.MEDIA_GROUP;
-            }
-
-            if (message.forward_from_chat || message.forward_origin){
-                flags |= Filters.FORWARDED;
-            }
+    constructor (filter, callback, {edited = false, channelPosts = false} = {}){
+        const condition = Filter.from(filter);
 
-            if (message.new_chat_members?.length) {
-                flags |= Filters.NEW_CHAT_MEMBERS;
-            }
+        super((/**@type {Update}*/update) => {
+            if (!this.updateTypes.includes(update.type)) return false;
+            return condition.check(update);
+        }, callback);
 
-            if (message.left_chat_member) {
-                flags |= Filters.LEFT_CHAT_MEMBER;
-            }
+        /**
+         * The update types handled.
+         * @type {string[]}
+         */
+        this.updateTypes = ["message"];
 
-            if (isService(message)) {
-                flags |= Filters.SERVICE_MESSAGES;
-            }
+        if (channelPosts) this.updateTypes.push("channel_post");
+        if (edited) this.updateTypes.push("edited_message");
+        if (edited && channelPosts) this.updateTypes.push("edited_channel_post");
+    }
+}
 
-            return (filter & flags) !== 0;
-        }, callback);
+/**
+ * Handle `edited_message` updates only, and optionally `edited_channel_post` updates.
+ */
+class EditedMessageHandler extends MessageHandler {
+    /**
+     * @param {Filter|number|function} filter 
+     * @param {(update: Update, context: Context) => Promise<void>} callback
+     * @param {{channelPosts: boolean}} options `channelPosts`: also handle edited channel posts.
+     */
+    constructor (filter, callback, {channelPosts = false} = {}){
+        super(filter, callback, {edited: true, channelPosts});
+        this.updateTypes = this.updateTypes.filter(type => type.startsWith("edited_"));
     }
 }
 
 /**
  * Handle various updates.
+ * 
+ * The value returned by an entry point or state callback becomes the next state of the conversation. Return `ConversationHandler.END` to end it, or nothing to stay in the current state.
+ * 
+ * A `ConversationHandler` can be used as a state handler of another one. The nested conversation runs until it returns one of the states in its `mapToParent` option, then the parent conversation moves to the mapped state.
+ * 
+ * For example:
+ * 
+ * ```
+ * const address = new ConversationHandler({
+ *     entryPoints: [new CallbackQueryHandler(askCity)],
+ *     states: {CITY: [new MessageHandler(Filters.TEXT, askStreet)], STREET: [new MessageHandler(Filters.TEXT, saveAddress)]},
+ *     mapToParent: {[ConversationHandler.END]: "CONFIRM"}
+ * });
+ * 
+ * const onboarding = new ConversationHandler({
+ *     entryPoints: [new CommandHandler("start", askAddress)],
+ *     states: {ADDRESS: [address], CONFIRM: [new CallbackQueryHandler(confirm)]}
+ * });
+ * ```
  */
 class ConversationHandler {
     /**
      * @typedef {number} 
      */
     static END = -1;
+    /**
+     * The state whose handlers run when a conversation times out. See the `conversationTimeout` option.
+     * @typedef {number} 
+     */
+    static TIMEOUT = -2;
 
     /**
      * @param {object} config - The configuration for the conversation handler.
@@ -148,12 +195,49 @@ class ConversationHandler {
      * @param {object} config.states - The states and corresponding handlers for each step of the conversation.
      * @param {BaseHandler[]} [config.fallbacks] - Handlers for fallback scenarios.
      * @param {BaseHandler[]} [config.globalHandlers] - Handlers that apply globally throughout the conversation.
+     * @param {string} [config.name] - A unique name for the conversation. Required if `persistent` is `true`.
+     * @param {boolean} [config.persistent] - Save the conversation states with the app's persistence backend, so that they survive restarts.
+     * @param {boolean} [config.perChat] - Track a separate conversation for each chat. Defaults to `true`.
+     * @param {boolean} [config.perUser] - Track a separate conversation for each user. Defaults to `false`, so a group shares one conversation. Together with `perChat`, each member of a group has their own conversation.
+     * @param {boolean} [config.perMessage] - Track a separate conversation for each message with an inline keyboard. Defaults to `false`. If `true`, only `callback_query` updates can move the conversation.
+     * @param {boolean} [config.perThread] - Track a separate conversation for each forum topic. Defaults to `false`.
+     * @param {number} [config.conversationTimeout] - End a conversation after it has been idle for this many milliseconds. The handlers in the `ConversationHandler.TIMEOUT` state are called with the last update before it ends.
+     * @param {object} [config.mapToParent] - For a conversation nested in the state of another conversation. Maps the states returned by this conversation to states of the parent conversation. When one of them is returned, this conversation ends and the parent moves to the mapped state.
      */
-    constructor ({entryPoints, states, fallbacks = [], globalHandlers = []}) {
+    constructor ({entryPoints, states, fallbacks = [], globalHandlers = [], name = null, persistent = false, perChat = true, perUser = false, perMessage = false, perThread = false, conversationTimeout = null, mapToParent = null}) {
+        if (persistent && !name) {
+            throw new Error("A persistent ConversationHandler needs a name.");
+        }
+
+        if (!perChat && !perUser && !perMessage) {
+            throw new Error("A ConversationHandler needs at least one of perChat, perUser or perMessage.");
+        }
+
         this.entryPoints = entryPoints;
         this.states = states;
         this.fallbacks = fallbacks;
         this.globalHandlers = globalHandlers;
+        this.name = name;
+        this.persistent = persistent;
+        this.perChat = perChat;
+        this.perUser = perUser;
+        this.perMessage = perMessage;
+        this.perThread = perThread;
+        this.conversationTimeout = conversationTimeout;
+        this.mapToParent = mapToParent;
+        /**
+         * Pending timeouts, keyed by conversation key.
+         * @type {Map<string, NodeJS.Timeout>}
+         */
+        this.timers = new Map();
+        /**
+         * The persistence backend, set by the app if the conversation is persistent.
+         * @type {BasePersistence|null}
+         */
+        this.persistence = null;
+        /**
+         * @type {Map<string, any>}
+         */
         this.activeConversations = new Map();
         this.isEnded = false;
         this.activeState = null;
@@ -164,56 +248,335 @@ class ConversationHandler {
         this.activeState = null;
     }
 
-    async handle(update, context){
-        const chat_id = update.message?.chat?.id ?? update.callback_query?.message?.chat?.id;
-        if (chat_id === null) return false;
-        if (this.activeConversations.has(chat_id)){
-            const state = this.activeConversations.get(chat_id);
-            if (this.states[state]) {
-                
-                for (const handler of this.globalHandlers) {
-                    if (await handler.canHandle(update)) {
-                        const globalResult = await handler.handle(update, context);
-                        if (globalResult === -1) {
-                            this.isEnded = true;
-                            this.activeConversations.delete(chat_id);
-                            return;
-                        }
-                    }
+    /**
+     * Load the saved conversation states from the persistence backend. Nested conversations are restored as well.
+     * @param {BasePersistence} persistence 
+     */
+    async restore(persistence){
+        for (const handlers of Object.values(this.states)) {
+            for (const handler of handlers) {
+                if (handler instanceof ConversationHandler) {
+                    await handler.restore(persistence);
                 }
+            }
+        }
 
-                for (const handler of this.states[state]) {
-                    if (await handler.canHandle(update)) {
-                        const nextState = await handler.handle(update, context);
-                        this.activeState = nextState;
-                        if (nextState === -1) {
-                            this.isEnded = true;
-                            this.activeConversations.delete(chat_id);
-                        } else {
-                            this.activeConversations.set(chat_id, nextState);
-                        }
-                        return;
-                    }
+        if (!this.persistent) return;
+
+        this.persistence = persistence;
+        const conversations = await persistence.getConversations(this.name);
+        this.activeConversations = new Map(Object.entries(conversations));
+
+        // The last update of a restored conversation is unknown, so the timeout handlers are skipped.
+        for (const key of this.activeConversations.keys()) {
+            this.scheduleTimeout(key, null, null);
+        }
+    }
+
+    /**
+     * Start (or restart) the timeout of a conversation.
+     * @param {string} key 
+     * @param {Update|null} update The last update of the conversation.
+     * @param {Context|null} context 
+     */
+    scheduleTimeout(key, update, context){
+        clearTimeout(this.timers.get(key));
+        this.timers.delete(key);
+
+        if (!this.conversationTimeout || !this.activeConversations.has(key)) return;
+
+        const timer = setTimeout(async () => {
+            this.timers.delete(key);
+            try {
+                await this.timeout(key, update, context);
+            } catch (error) {
+                if (context?.app) {
+                    await context.app.processError(error, update, context);
+                } else {
+                    console.error("Conversation timeout error:", error);
+                }
+            }
+        }, this.conversationTimeout);
+
+        // A pending timeout alone doesn't keep the process running, e.g. after the app has stopped.
+        timer.unref();
+        this.timers.set(key, timer);
+    }
+
+    /**
+     * Cancel the pending timeouts, including those of nested conversations. Called when the app stops; the conversations themselves stay active.
+     */
+    stopTimers(){
+        for (const handlers of Object.values(this.states)) {
+            for (const handler of handlers) {
+                if (handler instanceof ConversationHandler) {
+                    handler.stopTimers();
+                }
+            }
+        }
+
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+
+        this.timers.clear();
+    }
+
+    /**
+     * End a conversation that has been idle for too long.
+     * @param {string} key 
+     * @param {Update|null} update 
+     * @param {Context|null} context 
+     */
+    async timeout(key, update, context){
+        if (!this.activeConversations.has(key)) return;
+
+        if (update) {
+            for (const handler of this.states[ConversationHandler.TIMEOUT] ?? []) {
+                if (await handler.canHandle(update)) {
+                    await handler.invoke(update, context);
                 }
             }
+        }
+
+        await this.updateState(key, ConversationHandler.END);
+    }
+
+    /**
+     * Move the conversations of a chat to a new chat ID, e.g. when a group is upgraded to a supergroup. Nested conversations are moved as well. The timeouts of the moved conversations start over.
+     * @param {number} from_chat_id 
+     * @param {number} to_chat_id 
+     */
+    async migrateChat(from_chat_id, to_chat_id){
+        for (const handlers of Object.values(this.states)) {
+            for (const handler of handlers) {
+                if (handler instanceof ConversationHandler) {
+                    await handler.migrateChat(from_chat_id, to_chat_id);
+                }
+            }
+        }
+
+        if (!this.perChat) return;
+
+        for (const [key, state] of [...this.activeConversations]) {
+            const [chat_id, ...rest] = key.split(":");
+            if (chat_id !== String(from_chat_id)) continue;
+
+            const newKey = [to_chat_id, ...rest].join(":");
+            const timer = this.timers.get(key);
+
+            clearTimeout(timer);
+            this.timers.delete(key);
+            this.activeConversations.delete(key);
+            this.activeConversations.set(newKey, state);
+
+            if (timer) {
+                this.scheduleTimeout(newKey, null, null);
+            }
+
+            if (this.persistence) {
+                await this.persistence.updateConversation(this.name, key, null);
+                await this.persistence.updateConversation(this.name, newKey, state);
+            }
+        }
+    }
+
+    /**
+     * Get the key that identifies the conversation an update belongs to. It is made of the chat ID, forum topic ID, user ID and message ID, depending on the `perChat`, `perThread`, `perUser` and `perMessage` options.
+     * 
+     * For example: `"-100123456"` for a group, or `"-100123456:98765"` for a user in a group if `perUser` is set.
+     * 
+     * @param {Update} update 
+     * @returns {string|null} `null` if the update can't be part of a conversation.
+     */
+    getKey(update){
+        const key = [];
+
+        if (this.perChat) {
+            const chat_id = update.effective_chat?.id;
+            if (chat_id === undefined || chat_id === null) return null;
+            key.push(chat_id);
+        }
+
+        if (this.perThread) {
+            key.push(update.effective_message?.message_thread_id ?? 0);
+        }
+
+        if (this.perUser) {
+            const user_id = update.effective_user?.id;
+            if (user_id === undefined || user_id === null) return null;
+            key.push(user_id);
+        }
+
+        if (this.perMessage) {
+            const query = update.callback_query;
+            if (!query) return null;
+            key.push(query.inline_message_id ?? query.message?.message_id);
+        }
+
+        return key.join(":");
+    }
+
+    /**
+     * Move a conversation to a new state, or end it.
+     * @param {string} key 
+     * @param {any} state 
+     */
+    async updateState(key, state){
+        this.activeState = state;
+        clearTimeout(this.timers.get(key));
+        this.timers.delete(key);
+
+        if (state === ConversationHandler.END) {
+            this.isEnded = true;
+            this.activeConversations.delete(key);
         } else {
-            for (const handler of this.entryPoints) {
+            this.activeConversations.set(key, state);
+        }
+
+        if (this.persistence) {
+            await this.persistence.updateConversation(this.name, key, state === ConversationHandler.END ? null : state);
+        }
+    }
+
+    async handle(update, context){
+        const key = this.getKey(update);
+        if (key === null) return false;
+
+        const { handled } = await this.process(key, update, context);
+        return handled;
+    }
+
+    /**
+     * Check if the conversation would handle an update. Used when the conversation is nested in the state of another conversation.
+     * @param {Update} update 
+     * @returns {Promise<boolean>}
+     */
+    async canHandle(update){
+        const key = this.getKey(update);
+        if (key === null) return false;
+
+        const handlers = this.activeConversations.has(key)
+            ? [...this.globalHandlers, ...(this.states[this.activeConversations.get(key)] ?? []), ...this.fallbacks]
+            : this.entryPoints;
+
+        for (const handler of handlers) {
+            if (await handler.canHandle(update)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Handle an update as a nested conversation.
+     * @param {Update} update 
+     * @param {Context} context 
+     * @returns {Promise<any>} The next state of the parent conversation, if this conversation ended with a state listed in `mapToParent`.
+     */
+    async invoke(update, context){
+        const key = this.getKey(update);
+        if (key === null) return undefined;
+
+        const { parentState } = await this.process(key, update, context);
+        return parentState;
+    }
+
+    /**
+     * Get the states of the conversation an update belongs to, from this conversation down to the innermost nested conversation.
+     * 
+     * For example: `["ADDRESS", "CITY"]` if the parent is in the `ADDRESS` state and its nested conversation in the `CITY` state.
+     * 
+     * @param {Update} update 
+     * @returns {any[]}
+     */
+    getStateStack(update){
+        const key = this.getKey(update);
+        if (key === null || !this.activeConversations.has(key)) return [];
+
+        const state = this.activeConversations.get(key);
+
+        for (const handler of this.states[state] ?? []) {
+            if (handler instanceof ConversationHandler) {
+                const stack = handler.getStateStack(update);
+                if (stack.length) return [state, ...stack];
+            }
+        }
+
+        return [state];
+    }
+
+    /**
+     * Pass an update to the matching handler and move the conversation to the state it returns.
+     * @param {string} key 
+     * @param {Update} update 
+     * @param {Context} context 
+     * @returns {Promise<{handled: boolean, parentState: any}>}
+     */
+    async process(key, update, context){
+        const active = this.activeConversations.has(key);
+        let handlers = this.entryPoints;
+
+        if (active) {
+            const state = this.activeConversations.get(key);
+
+            for (const handler of this.globalHandlers) {
                 if (await handler.canHandle(update)) {
-                    const initialState = await handler.handle(update, context);
-                    if (initialState !== -1) {
-                        this.activeConversations.set(chat_id, initialState);
+                    const globalResult = await handler.invoke(update, context);
+                    if (globalResult === ConversationHandler.END) {
+                        return await this.transition(key, ConversationHandler.END, update, context);
                     }
-                    return;
                 }
             }
+
+            handlers = this.states[state] ?? [];
+        }
+
+        for (const handler of handlers) {
+            if (await handler.canHandle(update)) {
+                const nextState = await handler.invoke(update, context);
+                return await this.transition(key, nextState, update, context);
+            }
         }
 
         for (const handler of this.fallbacks) {
             if (await handler.canHandle(update)) {
-                await handler.handle(update, context);
-                return;
+                const nextState = await handler.invoke(update, context);
+                return await this.transition(key, active ? nextState : undefined, update, context);
             }
         }
+
+        return { handled: false, parentState: undefined };
+    }
+
+    /**
+     * Move a conversation to the state returned by a handler. `undefined` keeps the current state.
+     * @param {string} key 
+     * @param {any} nextState 
+     * @param {Update} update 
+     * @param {Context} context 
+     * @returns {Promise<{handled: boolean, parentState: any}>}
+     */
+    async transition(key, nextState, update, context){
+        let parentState = undefined;
+
+        if (nextState !== undefined && this.mapToParent && Object.hasOwn(this.mapToParent, nextState)) {
+            parentState = this.mapToParent[nextState];
+            nextState = ConversationHandler.END;
+        }
+
+        if (nextState === ConversationHandler.END && !this.activeConversations.has(key)) {
+            nextState = undefined;
+        }
+
+        if (nextState !== undefined) {
+            await this.updateState(key, nextState);
+        }
+
+        this.scheduleTimeout(key, update, context);
+
+        return { handled: true, parentState };
     }
 }
 
@@ -267,12 +630,425 @@ class ChatMemberHandler extends BaseHandler {
     }
 }
 
+/**
+ * Handle `inline_query` updates.
+ * 
+ * For example:
+ * 
+ * ```
+ * app.addHandler(new InlineQueryHandler(async (update, context) => {
+ *     await update.inline_query.answer({results: [
+ *         new InlineQueryResultArticle({id: "1", title: "Hello", input_message_content: new InputTextMessageContent({message_text: "Hello!"})})
+ *     ]});
+ * }, /^hello/i), Permissions.ALL);
+ * ```
+ */
+class InlineQueryHandler extends BaseHandler {
+    /**
+     * @param {(update: Update, context: Context) => Promise<void>} callback
+     * @param {RegExp|string} pattern Only handle queries matching this pattern. The match is stored in `context.matches`.
+     * @param {string[]} chatTypes Only handle queries sent from these chat types (e.g. `["sender", "private"]`).
+     */
+    constructor(callback, pattern = null, chatTypes = null){
+        super((update) => {
+            const inline_query = update.inline_query;
+
+            if (update.type !== "inline_query" || !inline_query) {
+                return false;
+            }
+
+            if (chatTypes && !chatTypes.includes(inline_query.chat_type)) {
+                return false;
+            }
+
+            return !pattern || new RegExp(pattern).test(inline_query.query ?? "");
+        }, callback);
+
+        this.pattern = pattern;
+    }
+
+    async invoke(update, context) {
+        if (this.pattern) {
+            context.matches = new RegExp(this.pattern).exec(update.inline_query.query ?? "");
+        }
+        return await super.invoke(update, context);
+    }
+}
+
+/**
+ * Handle `chosen_inline_result` updates. You need to enable inline feedback with @BotFather to receive them.
+ */
+class ChosenInlineResultHandler extends BaseHandler {
+    /**
+     * @param {(update: Update, context: Context) => Promise<void>} callback
+     * @param {RegExp|string} pattern Only handle results whose `result_id` matches this pattern.
+     */
+    constructor(callback, pattern = null){
+        super((update) => {
+            const result = update.chosen_inline_result;
+
+            if (update.type !== "chosen_inline_result" || !result) {
+                return false;
+            }
+
+            return !pattern || new RegExp(pattern).test(result.result_id);
+        }, callback);
+    }
+}
+
+/**
+ * Handle `shipping_query` updates. Only sent for invoices with flexible prices that request a shipping address.
+ */
+class ShippingQueryHandler extends BaseHandler {
+    /**
+     * @param {(update: Update, context: Context) => Promise<void>} callback
+     */
+    constructor(callback){
+        super((update) => update.type === "shipping_query" && !!update.shipping_query, callback);
+    }
+}
+
+/**
+ * Handle `pre_checkout_query` updates. The query must be answered within 10 seconds, or the payment is cancelled.
+ * 
+ * For example:
+ * 
+ * ```
+ * app.addHandler(new PreCheckoutQueryHandler(async (update, context) => {
+ *     await update.pre_checkout_query.answer({ok: true});
+ * }, /^premium-/));
+ * ```
+ */
+class PreCheckoutQueryHandler extends BaseHandler {
+    /**
+     * @param {(update: Update, context: Context) => Promise<void>} callback
+     * @param {RegExp|string} pattern Only handle queries whose `invoice_payload` matches this pattern.
+     */
+    constructor(callback, pattern = null){
+        super((update) => {
+            const query = update.pre_checkout_query;
+
+            if (update.type !== "pre_checkout_query" || !query) {
+                return false;
+            }
+
+            return !pattern || new RegExp(pattern).test(query.invoice_payload);
+        }, callback);
+    }
+}
+
+/**
+ * Handle `poll` updates, sent when the state of a poll changes. Bots only receive updates about manually stopped polls and polls sent by the bot.
+ */
+class PollHandler extends BaseHandler {
+    /**
+     * @param {(update: Update, context: Context) => Promise<void>} callback
+     */
+    constructor(callback){
+        super((update) => update.type === "poll" && !!update.poll, callback);
+    }
+}
+
+/**
+ * Handle `poll_answer` updates, sent when a user changes their answer in a non-anonymous poll sent by the bot.
+ * 
+ * For example:
+ * 
+ * ```
+ * app.addHandler(new PollAnswerHandler(async (update, context) => {
+ *     const answer = update.poll_answer;
+ *     console.log(`${update.effective_user.first_name} voted ${answer.option_ids} in ${answer.poll_id}`);
+ * }));
+ * ```
+ */
+class PollAnswerHandler extends BaseHandler {
+    /**
+     * @param {(update: Update, context: Context) => Promise<void>} callback
+     */
+    constructor(callback){
+        super((update) => update.type === "poll_answer" && !!update.poll_answer, callback);
+    }
+}
+
+/**
+ * Handle `message_reaction` updates, and optionally `message_reaction_count` updates. The bot must be an administrator in the chat and `message_reaction` must be listed in `allowed_updates` to receive them.
+ * 
+ * For example:
+ * 
+ * ```
+ * // Forward messages starred by a user to the highlights channel.
+ * app.addHandler(new MessageReactionHandler(async (update, context) => {
+ *     const reaction = update.message_reaction;
+ *     await context.bot.forwardMessage({chat_id: HIGHLIGHTS, from_chat_id: reaction.chat.id, message_id: reaction.message_id});
+ * }, {reactions: ["⭐"], removed: false}));
+ * ```
+ */
+class MessageReactionHandler extends BaseHandler {
+    /**
+     * @param {(update: Update, context: Context) => Promise<void>} callback
+     * @param {{reactions: string[], added: boolean, removed: boolean, counts: boolean}} options `reactions`: only handle changes to these emoji or custom emoji IDs. `added` / `removed`: handle reactions being added / removed. `counts`: also handle anonymous `message_reaction_count` updates.
+     */
+    constructor(callback, {reactions = null, added = true, removed = true, counts = false} = {}){
+        super((update) => {
+            const matches = (list) => list.some(reaction => !reactions || reactions.includes(reactionKey(reaction)));
+
+            if (update.type === "message_reaction" && update.message_reaction) {
+                const reaction = update.message_reaction;
+                return (added && matches(reaction.added)) || (removed && matches(reaction.removed));
+            }
+
+            if (counts && update.type === "message_reaction_count" && update.message_reaction_count) {
+                return matches(update.message_reaction_count.reactions.map(count => count.type));
+            }
+
+            return false;
+        }, callback);
+    }
+}
+
+/**
+ * Handle `chat_join_request` updates. The bot must be an administrator in the chat with the `can_invite_users` right to receive them.
+ */
+class ChatJoinRequestHandler extends BaseHandler {
+    /**
+     * @param {(update: Update, context: Context) => Promise<void>} callback
+     * @param {number[]} chatIds Only handle requests to join these chats.
+     */
+    constructor(callback, chatIds = null){
+        super((update) => {
+            const request = update.chat_join_request;
+
+            if (update.type !== "chat_join_request" || !request) {
+                return false;
+            }
+
+            return !chatIds || chatIds.includes(request.chat?.id);
+        }, callback);
+    }
+}
+
+/**
+ * A conversation that screens join requests. When a user asks to join a chat, the bot sends them a question in private. The request is approved if the answer is right, and declined if it is wrong or if the user doesn't answer in time.
+ * 
+ * For example:
+ * 
+ * ```
+ * app.addHandler(new JoinRequestApproval({
+ *     ask: async (update, context) => {
+ *         await context.bot.sendMessage({chat_id: update.chat_join_request.user_chat_id, text: "What is 3 + 4?"});
+ *     },
+ *     check: async (update, context) => update.message?.text?.trim() === "7",
+ *     timeout: 2 * 60 * 1000
+ * }));
+ * ```
+ */
+class JoinRequestApproval extends ConversationHandler {
+    /**
+     * The state of a conversation waiting for the answer of the applicant.
+     */
+    static PENDING = "PENDING";
+
+    /**
+     * @param {object} config
+     * @param {(update: Update, context: Context) => Promise<void>} config.ask - Send the question to the applicant, using `update.chat_join_request.user_chat_id`.
+     * @param {(update: Update, context: Context) => Promise<boolean>} config.check - Check the answer of the applicant, a private message or a callback query. Return `true` to approve the request.
+     * @param {number} [config.timeout] - Decline the request if the applicant hasn't answered after this many milliseconds. Defaults to 5 minutes, the time the bot is allowed to message the applicant for.
+     * @param {number[]} [config.chatIds] - Only screen requests to join these chats.
+     * @param {(request: {chat_id: number, user_id: number, user_chat_id: number}, approved: boolean) => Promise<void>} [config.onResult] - Called after a request has been approved or declined.
+     * @param {string} [config.name] - A unique name. Required if `persistent` is `true`.
+     * @param {boolean} [config.persistent] - Save the pending requests with the app's persistence backend, so that they still time out after a restart.
+     */
+    constructor({ask, check, timeout = 5 * 60 * 1000, chatIds = null, onResult = null, name = null, persistent = false}){
+        super({
+            entryPoints: [new ChatJoinRequestHandler((update, context) => this.start(update, context), chatIds)],
+            states: {
+                [JoinRequestApproval.PENDING]: [
+                    new BaseHandler(
+                        (update) => (update.type === "message" || update.type === "callback_query") && update.effective_chat?.type === "private",
+                        (update, context) => this.answer(update, context)
+                    )
+                ]
+            },
+            name,
+            persistent,
+            perChat: false,
+            perUser: true,
+            conversationTimeout: timeout
+        });
+
+        this.ask = ask;
+        this.check = check;
+        this.onResult = onResult;
+        /**
+         * The requests waiting for an answer, keyed by conversation key.
+         * @type {Map<string, {chat_id: number, user_id: number, user_chat_id: number}>}
+         */
+        this.pending = new Map();
+    }
+
+    /**
+     * The name under which the pending requests are saved.
+     * @returns {string}
+     */
+    get pendingName(){
+        return `${this.name}:pending`;
+    }
+
+    async restore(persistence){
+        await super.restore(persistence);
+
+        if (!this.persistent) return;
+
+        this.pending = new Map(Object.entries(await persistence.getConversations(this.pendingName)));
+    }
+
+    async start(update, context){
+        const request = update.chat_join_request;
+        const key = this.getKey(update);
+        const pending = {chat_id: request.chat.id, user_id: request.from.id, user_chat_id: request.user_chat_id};
+
+        this.pending.set(key, pending);
+
+        if (this.persistence) {
+            await this.persistence.updateConversation(this.pendingName, key, pending);
+        }
+
+        try {
+            await this.ask(update, context);
+        } catch (error) {
+            // The applicant was never asked, so there is nothing to wait for.
+            await this.updateState(key, ConversationHandler.END);
+            throw error;
+        }
+
+        return JoinRequestApproval.PENDING;
+    }
+
+    async answer(update, context){
+        const approved = await this.check(update, context);
+        await this.decide(this.getKey(update), approved);
+        return ConversationHandler.END;
+    }
+
+    /**
+     * Approve or decline a pending request.
+     * @param {string} key 
+     * @param {boolean} approved 
+     * @throws {TelegramError} If the request could not be approved or declined, e.g. because it was already handled by an admin.
+     */
+    async decide(key, approved){
+        const request = this.pending.get(key);
+        if (!request) return;
+
+        const config = {chat_id: request.chat_id, user_id: request.user_id};
+
+        if (approved) {
+            await Context.bot.approveChatJoinRequest(config);
+        } else {
+            await Context.bot.declineChatJoinRequest(config);
+        }
+
+        if (this.onResult) {
+            await this.onResult(request, approved);
+        }
+    }
+
+    async timeout(key, update, context){
+        try {
+            if (this.activeConversations.has(key)) {
+                await this.decide(key, false);
+            }
+        } finally {
+            await super.timeout(key, update, context);
+        }
+    }
+
+    async updateState(key, state){
+        await super.updateState(key, state);
+
+        if (state !== ConversationHandler.END) return;
+
+        this.pending.delete(key);
+
+        if (this.persistence) {
+            await this.persistence.updateConversation(this.pendingName, key, null);
+        }
+    }
+}
+
+/**
+ * Handle `business_connection` updates, sent when the bot is connected to or disconnected from a business account, or a connection is edited.
+ */
+class BusinessConnectionHandler extends BaseHandler {
+    /**
+     * @param {(update: Update, context: Context) => Promise<void>} callback
+     */
+    constructor(callback){
+        super((update) => update.type === "business_connection" && !!update.business_connection, callback);
+    }
+}
+
+/**
+ * Handle `business_message` updates, the messages received by a connected business account. Replies sent with `update.business_message.reply()` go through the same business connection.
+ * 
+ * For example:
+ * 
+ * ```
+ * app.addHandler(new BusinessMessageHandler(Filters.TEXT, async (update, context) => {
+ *     await update.business_message.reply({text: "Thanks, our team will get back to you shortly."});
+ * }), Permissions.ALL);
+ * ```
+ */
+class BusinessMessageHandler extends BaseHandler {
+    /**
+     * @param {Filter|number|function} filter 
+     * @param {(update: Update, context: Context) => Promise<void>} callback
+     * @param {{edited: boolean}} options `edited`: also handle `edited_business_message` updates.
+     */
+    constructor(filter, callback, {edited = false} = {}){
+        const condition = Filter.from(filter);
+
+        super((update) => {
+            if (update.type === "business_message" || (edited && update.type === "edited_business_message")) {
+                return condition.check(update);
+            }
+
+            return false;
+        }, callback);
+    }
+}
+
+/**
+ * Handle `deleted_business_messages` updates, sent when messages are deleted from a connected business account.
+ */
+class DeletedBusinessMessagesHandler extends BaseHandler {
+    /**
+     * @param {(update: Update, context: Context) => Promise<void>} callback
+     */
+    constructor(callback){
+        super((update) => update.type === "deleted_business_messages" && !!update.deleted_business_messages, callback);
+    }
+}
+
 export {
 MessageHandler,
+EditedMessageHandler,
 CommandHandler,
 ConversationHandler,
 CallbackQueryHandler,
 BaseHandler,
 // ChatMemberHandler,
-ChatMemberHandler
+ChatMemberHandler,
+InlineQueryHandler,
+ChosenInlineResultHandler,
+ShippingQueryHandler,
+PreCheckoutQueryHandler,
+PollHandler,
+PollAnswerHandler,
+MessageReactionHandler,
+ChatJoinRequestHandler,
+JoinRequestApproval,
+BusinessConnectionHandler,
+BusinessMessageHandler,
+DeletedBusinessMessagesHandler
 }
\ No newline at end of file
@@ -0,0 +1,383 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Base class for persistence backends. A backend stores user, chat and bot data so that it survives across updates and restarts.
+ *
+ * Data is exchanged as plain JSON-serializable objects (e.g. `{"12345": {"language": "en"}}` for user data). Subclass it and override every method to write your own backend.
+ */
+class BasePersistence {
+    /**
+     * Get the stored user data, keyed by user ID.
+     * @returns {Promise<Object<string, Object>>}
+     */
+    async getUserData() {
+        throw new Error(`${this.constructor.name} does not implement getUserData().`);
+    }
+
+    /**
+     * Get the stored chat data, keyed by chat ID.
+     * @returns {Promise<Object<string, Object>>}
+     */
+    async getChatData() {
+        throw new Error(`${this.constructor.name} does not implement getChatData().`);
+    }
+
+    /**
+     * Get the stored bot data.
+     * @returns {Promise<Object>}
+     */
+    async getBotData() {
+        throw new Error(`${this.constructor.name} does not implement getBotData().`);
+    }
+
+    /**
+     * Store the data of a user.
+     * @param {number|string} user_id
+     * @param {Object} data
+     * @returns {Promise<void>}
+     */
+    async updateUserData(user_id, data) {
+        throw new Error(`${this.constructor.name} does not implement updateUserData().`);
+    }
+
+    /**
+     * Store the data of a chat.
+     * @param {number|string} chat_id
+     * @param {Object} data
+     * @returns {Promise<void>}
+     */
+    async updateChatData(chat_id, data) {
+        throw new Error(`${this.constructor.name} does not implement updateChatData().`);
+    }
+
+    /**
+     * Store the bot data.
+     * @param {Object} data
+     * @returns {Promise<void>}
+     */
+    async updateBotData(data) {
+        throw new Error(`${this.constructor.name} does not implement updateBotData().`);
+    }
+
+    /**
+     * Delete the data of a user.
+     * @param {number|string} user_id
+     * @returns {Promise<void>}
+     */
+    async dropUserData(user_id) {
+        throw new Error(`${this.constructor.name} does not implement dropUserData().`);
+    }
+
+    /**
+     * Delete the data of a chat.
+     * @param {number|string} chat_id
+     * @returns {Promise<void>}
+     */
+    async dropChatData(chat_id) {
+        throw new Error(`${this.constructor.name} does not implement dropChatData().`);
+    }
+
+    /**
+     * Get the stored states of a conversation, keyed by conversation key.
+     * @param {string} name The name of the `ConversationHandler`.
+     * @returns {Promise<Object<string, any>>}
+     */
+    async getConversations(name) {
+        throw new Error(`${this.constructor.name} does not implement getConversations().`);
+    }
+
+    /**
+     * Store the state of a conversation. A `null` state means the conversation has ended.
+     * @param {string} name The name of the `ConversationHandler`.
+     * @param {string} key
+     * @param {any} state
+     * @returns {Promise<void>}
+     */
+    async updateConversation(name, key, state) {
+        throw new Error(`${this.constructor.name} does not implement updateConversation().`);
+    }
+
+    /**
+     * Get the stored jobs of the `JobQueue`, keyed by job key. Backends that don't store jobs return none.
+     * @returns {Promise<Object<string, Object>>}
+     */
+    async getJobs() {
+        return {};
+    }
+
+    /**
+     * Store a persistent job. A `null` job means the job has been removed.
+     * @param {string} key 
+     * @param {Object|null} job 
+     * @returns {Promise<void>}
+     */
+    async updateJob(key, job) {
+        throw new Error(`${this.constructor.name} does not implement updateJob().`);
+    }
+
+    /**
+     * Write any pending changes to the storage. Called when the app shuts down.
+     * @returns {Promise<void>}
+     */
+    async flush() {}
+}
+
+/**
+ * Keeps the data in memory. Data survives across updates, but not across restarts.
+ */
+class MemoryPersistence extends BasePersistence {
+    constructor() {
+        super();
+        this.data = {
+            user_data: {},
+            chat_data: {},
+            bot_data: {},
+            conversations: {},
+            jobs: {}
+        };
+    }
+
+    async getUserData() { return structuredClone(this.data.user_data); }
+    async getChatData() { return structuredClone(this.data.chat_data); }
+    async getBotData() { return structuredClone(this.data.bot_data); }
+    async getConversations(name) { return structuredClone(this.data.conversations[name] ?? {}); }
+    async getJobs() { return structuredClone(this.data.jobs); }
+
+    async updateUserData(user_id, data) {
+        this.data.user_data[user_id] = structuredClone(data);
+        await this.save();
+    }
+
+    async updateChatData(chat_id, data) {
+        this.data.chat_data[chat_id] = structuredClone(data);
+        await this.save();
+    }
+
+    async updateBotData(data) {
+        this.data.bot_data = structuredClone(data);
+        await this.save();
+    }
+
+    async updateConversation(name, key, state) {
+        const conversations = this.data.conversations[name] ??= {};
+
+        if (state === null || state === undefined) {
+            delete conversations[key];
+        } else {
+            conversations[key] = state;
+        }
+
+        await this.save();
+    }
+
+    async updateJob(key, job) {
+        if (job === null || job === undefined) {
+            delete this.data.jobs[key];
+        } else {
+            this.data.jobs[key] = structuredClone(job);
+        }
+
+        await this.save();
+    }
+
+    async dropUserData(user_id) {
+        delete this.data.user_data[user_id];
+        await this.save();
+    }
+
+    async dropChatData(chat_id) {
+        delete this.data.chat_data[chat_id];
+        await this.save();
+    }
+
+    /**
+     * Called after every change. Does nothing for the in-memory backend.
+     */
+    async save() {}
+}
+
+/**
+ * Stores the data in a JSON file.
+ *
+ * For example:
+ *
+ * ```
+ * const app = new App().token(API_KEY).persistence(new JSONFilePersistence({filepath: "./data.json"})).build();
+ * ```
+ */
+class JSONFilePersistence extends MemoryPersistence {
+    /**
+     * @param {{filepath: string, onFlush: boolean}} config `onFlush`: only write the file when the app shuts down, instead of after every change.
+     */
+    constructor({ filepath, onFlush = false }) {
+        super();
+        this.filepath = path.resolve(filepath);
+        this.onFlush = onFlush;
+        this.writing = Promise.resolve();
+        /**
+         * The pending write scheduled by `save()`.
+         * @type {NodeJS.Immediate|null}
+         */
+        this.scheduled = null;
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filepath)) return;
+
+        const content = fs.readFileSync(this.filepath, "utf-8");
+        if (content.trim()) {
+            this.data = { ...this.data, ...JSON.parse(content) };
+        }
+    }
+
+    /**
+     * Schedule a write of the file. Changes made together, e.g. the user, chat and bot data of an update, are written at once.
+     */
+    async save() {
+        if (this.onFlush || this.scheduled) return;
+
+        this.scheduled = setImmediate(() => {
+            this.scheduled = null;
+            this.write();
+        });
+    }
+
+    async flush() {
+        clearImmediate(this.scheduled);
+        this.scheduled = null;
+        await this.write();
+    }
+
+    /**
+     * Write the file. Writes are chained so that they never overlap.
+     */
+    write() {
+        const content = JSON.stringify(this.data, null, 2);
+        const temp = `${this.filepath}.tmp`;
+
+        this.writing = this.writing
+            .then(async () => {
+                await fs.promises.writeFile(temp, content);
+                await fs.promises.rename(temp, this.filepath);
+            })
+            .catch(error => console.error(`Unable to write ${this.filepath}:`, error));
+
+        return this.writing;
+    }
+}
+
+/**
+ * Stores the data in a SQLite database file. It uses the built-in `node:sqlite` module, which needs Node.js 22.5 or later (with the `--experimental-sqlite` flag before 22.13) and is still experimental: Node.js prints a warning when it is loaded.
+ *
+ * For example:
+ *
+ * ```
+ * const app = new App().token(API_KEY).persistence(new SQLitePersistence({filepath: "./bot.db"})).build();
+ * ```
+ */
+class SQLitePersistence extends BasePersistence {
+    static TABLES = ["user_data", "chat_data", "bot_data", "jobs"];
+
+    /**
+     * @param {{filepath: string}} config
+     */
+    constructor({ filepath }) {
+        super();
+        this.filepath = path.resolve(filepath);
+        this.db = null;
+    }
+
+    async connect() {
+        if (this.db) return this.db;
+
+        let sqlite;
+
+        try {
+            sqlite = await import("node:sqlite");
+        } catch (error) {
+            throw new Error(`SQLitePersistence requires Node.js 22.5 or later with the node:sqlite module (running ${process.version}).`, { cause: error });
+        }
+
+        const { DatabaseSync } = sqlite;
+        this.db = new DatabaseSync(this.filepath);
+
+        for (const table of SQLitePersistence.TABLES) {
+            this.db.exec(`CREATE TABLE IF NOT EXISTS ${table} (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+        }
+
+        // One row per conversation, so that a state change only touches its own row.
+        this.db.exec("CREATE TABLE IF NOT EXISTS conversation_states (name TEXT NOT NULL, key TEXT NOT NULL, state TEXT NOT NULL, PRIMARY KEY (name, key))");
+
+        return this.db;
+    }
+
+    async all(table) {
+        const db = await this.connect();
+        const rows = db.prepare(`SELECT id, data FROM ${table}`).all();
+        return Object.fromEntries(rows.map(row => [row.id, JSON.parse(row.data)]));
+    }
+
+    async put(table, id, data) {
+        const db = await this.connect();
+        db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data`)
+            .run(String(id), JSON.stringify(data));
+    }
+
+    async remove(table, id) {
+        const db = await this.connect();
+        db.prepare(`DELETE FROM ${table} WHERE id = ?`).run(String(id));
+    }
+
+    async getUserData() { return this.all("user_data"); }
+    async getChatData() { return this.all("chat_data"); }
+    async getBotData() { return (await this.all("bot_data")).bot ?? {}; }
+    async getJobs() { return this.all("jobs"); }
+
+    async getConversations(name) {
+        const db = await this.connect();
+        const rows = db.prepare("SELECT key, state FROM conversation_states WHERE name = ?").all(name);
+        return Object.fromEntries(rows.map(row => [row.key, JSON.parse(row.state)]));
+    }
+
+    async updateUserData(user_id, data) { await this.put("user_data", user_id, data); }
+    async updateChatData(chat_id, data) { await this.put("chat_data", chat_id, data); }
+    async updateBotData(data) { await this.put("bot_data", "bot", data); }
+
+    async updateConversation(name, key, state) {
+        const db = await this.connect();
+
+        if (state === null || state === undefined) {
+            db.prepare("DELETE FROM conversation_states WHERE name = ? AND key = ?").run(name, String(key));
+        } else {
+            db.prepare("INSERT INTO conversation_states (name, key, state) VALUES (?, ?, ?) ON CONFLICT(name, key) DO UPDATE SET state = excluded.state")
+                .run(name, String(key), JSON.stringify(state));
+        }
+    }
+
+    async updateJob(key, job) {
+        if (job === null || job === undefined) {
+            await this.remove("jobs", key);
+        } else {
+            await this.put("jobs", key, job);
+        }
+    }
+
+    async dropUserData(user_id) { await this.remove("user_data", user_id); }
+    async dropChatData(chat_id) { await this.remove("chat_data", chat_id); }
+
+    async flush() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+export {
+    BasePersistence,
+    MemoryPersistence,
+    JSONFilePersistence,
+    SQLitePersistence
+}
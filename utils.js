@@ -77,6 +77,15 @@ function parseCommand(input) {
     return args;
 }
 
+/**
+ * Get a value identifying a reaction: the emoji, the custom emoji ID, or the type for paid reactions.
+ * @param {{type: string, emoji: string, custom_emoji_id: string}} reaction 
+ * @returns {string}
+ */
+function reactionKey(reaction) {
+    return reaction?.emoji ?? reaction?.custom_emoji_id ?? reaction?.type;
+}
+
 function isService(message) {
     if (message.new_chat_members?.length) {
         return true;
@@ -109,5 +118,6 @@ export {
     parseCommand,
     getMessage,
     isService,
+    reactionKey,
     fetchWithTimeout
 }
\ No newline at end of file